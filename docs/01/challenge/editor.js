@@ -0,0 +1,574 @@
+// ボクセルエディター ---------------------------------------------------------
+// ビューポートの中でボクセルを直接編集するためのクラスです。
+// E キーで編集モードに切り替えると、足元にグリッドが表示され、クリックで次の操
+// 作ができるようになります。
+//
+//   クリック            ... 選択中のツール（追加、削除、塗る、スポイト）
+//   Shift + クリック    ... 削除
+//   Ctrl（⌘）+ クリック ... スポイト（クリックしたボクセルの色を選ぶ）
+//   Alt を押しながら    ... カメラの操作（OrbitControls）
+//   1 〜 4              ... ツールの切り替え
+//   [ / ]               ... 色の切り替え
+//   Z / Shift + Z（Y）  ... 元に戻す / やり直す
+//
+// 編集モードの間は、Alt を押している間だけ OrbitControls が有効になります。
+// クリックとドラッグは Picker が区別するので、ドラッグでカメラを回してもボクセ
+// ルは変わりません。編集結果はツールバーのボタンから、スプライト定義の JSON か
+// MagicaVoxel の .vox として書き出せます。
+// ----------------------------------------------------------------------------
+
+import * as THREE from '../../lib/three.module.js'
+import { instanceMeshes } from '../../lib/SceneOptimizer.js'
+import { VOXExporter } from '../../lib/VOXExporter.js'
+import { parseSprite } from './sprite.js'
+
+/**
+ * ツールの一覧（数字キーの順）
+ */
+const TOOLS = ['add', 'remove', 'paint', 'eyedropper']
+
+/**
+ * 元に戻せる操作の数
+ */
+const HISTORY_LIMIT = 100
+
+/**
+ * エディターが使う入力の定義
+ */
+const EDITOR_INPUT = {
+  editorToggle: ['key:e', 'key:E'],
+  editorOrbit: ['key:Alt'],
+  editorUndo: ['key:z'],
+  editorRedo: ['key:Z', 'key:y'],
+  editorPrevColor: ['key:['],
+  editorNextColor: ['key:]'],
+  editorTool0: ['key:1'],
+  editorTool1: ['key:2'],
+  editorTool2: ['key:3'],
+  editorTool3: ['key:4'],
+}
+
+/**
+ * セルの座標から Map のキーを作る
+ * @param {number} x - X
+ * @param {number} y - Y
+ * @param {number} z - Z
+ * @return {string}
+ */
+function cellKey (x, y, z) {
+  return `${x},${y},${z}`
+}
+
+/**
+ * ファイルとしてダウンロードさせる
+ * @param {Blob} blob - 中身
+ * @param {string} filename - ファイル名
+ */
+function download (blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const anchor = document.createElement('a')
+  anchor.href = url
+  anchor.download = filename
+  anchor.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * ビューポートの中でボクセルを編集するクラス
+ */
+export class VoxelEditor {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {App3} app - init 済みの App3 のインスタンス
+   * @param {object} options
+   * @param {object} options.sprite - 最初に読み込むスプライト定義
+   * @param {THREE.Group} options.group - ボクセルを入れるグループ（中身は作り直される）
+   * @param {THREE.BufferGeometry} options.geometry - 全ボクセルで共有するジオメトリ
+   * @param {Object<string, THREE.Material>} options.materials - パレット名をキーにしたマテリアル
+   * @param {function(InstancedBatches, Array<THREE.Mesh>): void} [options.onChange] - ボクセルを作り直したときに呼ばれる
+   * @param {number} [options.gridSize=32] - グリッドの一辺のセルの数
+   */
+  constructor (app, options) {
+    this.app = app
+    this.sprite = options.sprite
+    this.group = options.group
+    this.geometry = options.geometry
+    this.materials = options.materials
+    this.onChange = options.onChange !== undefined ? options.onChange : () => {}
+    this.unit = this.sprite.unit !== undefined ? this.sprite.unit : 0.1
+
+    this.enabled = false     // 編集モードかどうか
+    this.tool = TOOLS[0]     // 選択中のツール
+    this.color = Object.keys(this.materials)[0] // 選択中のパレット名
+    this.cells = new Map()   // セルのキーと { x, y, z, name }
+    this.batches = null      // ボクセルをまとめた InstancedMesh との対応
+    this.meshes = []         // ボクセルのメッシュ
+    this.undoStack = []      // 操作ごとの変更の一覧
+    this.redoStack = []
+
+    // スプライト定義のワールド座標を、1 ボクセルを 1 とする整数のセルに直す
+    parseSprite(this.sprite).forEach((voxel) => {
+      const x = Math.round(voxel.x / this.unit)
+      const y = Math.round(voxel.y / this.unit)
+      const z = Math.round(voxel.z / this.unit)
+      this.cells.set(cellKey(x, y, z), { x, y, z, name: voxel.name })
+    })
+
+    // 最初のレイヤーを置くためのグリッドと、クリックを受け取る見えない平面
+    const gridSize = options.gridSize !== undefined ? options.gridSize : 32
+    this.helper = new THREE.Group()
+    this.helper.visible = false
+    this.helper.position.y = -this.unit / 2
+    const grid = new THREE.GridHelper(gridSize * this.unit, gridSize, 0x888888, 0xcccccc)
+    // セルの境界に線が来るように、セルの数が偶数のときは半分ずらす
+    const shift = gridSize % 2 === 0 ? this.unit / 2 : 0
+    grid.position.set(shift, 0, shift)
+    this.helper.add(grid)
+    this.plane = new THREE.Mesh(
+      new THREE.PlaneGeometry(gridSize * this.unit, gridSize * this.unit),
+      new THREE.MeshBasicMaterial({ colorWrite: false, depthWrite: false }),
+    )
+    this.plane.rotation.x = -Math.PI / 2
+    this.plane.position.set(shift, 0, shift)
+    this.helper.add(this.plane)
+    this.app.scene.add(this.helper)
+
+    // Picker がドラッグと区別して発行する click を受け取る
+    this.handleVoxelClick = (event) => {
+      this.handleClick(event, false)
+    }
+    this.handlePlaneClick = (event) => {
+      this.handleClick(event, true)
+    }
+    this.group.addEventListener('click', this.handleVoxelClick)
+    this.plane.addEventListener('click', this.handlePlaneClick)
+
+    this.app.input.bindAll(EDITOR_INPUT)
+    this.toolbar = this.createToolbar()
+    this.rebuild()
+  }
+
+  /**
+   * 編集モードを切り替える
+   * @param {boolean} enabled - 編集モードにするかどうか
+   */
+  setEnabled (enabled) {
+    this.enabled = enabled
+    this.helper.visible = enabled
+    this.toolbar.style.display = enabled === true ? 'block' : 'none'
+    this.app.controls.enabled = true
+    this.refreshToolbar()
+  }
+
+  /**
+   * ツールを選ぶ
+   * @param {string} tool - 'add'、'remove'、'paint'、'eyedropper' のいずれか
+   */
+  setTool (tool) {
+    if (TOOLS.includes(tool) === false) {
+      throw new Error(`VoxelEditor: unknown tool "${tool}".`)
+    }
+    this.tool = tool
+    this.refreshToolbar()
+  }
+
+  /**
+   * 色（パレット名）を選ぶ
+   * @param {string} name - パレット名
+   */
+  setColor (name) {
+    if (this.materials[name] === undefined) {
+      throw new Error(`VoxelEditor: "${name}" is not in the palette.`)
+    }
+    this.color = name
+    this.refreshToolbar()
+  }
+
+  /**
+   * 毎フレームの更新処理（キー操作を調べる）
+   */
+  update () {
+    const input = this.app.input
+    if (input.pressed('editorToggle') === true) {
+      this.setEnabled(this.enabled === false)
+    }
+    if (this.enabled === false) {
+      return
+    }
+    // Alt を押している間だけカメラを操作できる
+    this.app.controls.enabled = input.held('editorOrbit')
+    if (input.pressed('editorUndo') === true) {
+      this.undo()
+    }
+    if (input.pressed('editorRedo') === true) {
+      this.redo()
+    }
+    TOOLS.forEach((tool, index) => {
+      if (input.pressed(`editorTool${index}`) === true) {
+        this.setTool(tool)
+      }
+    })
+    const names = Object.keys(this.materials)
+    const index = names.indexOf(this.color)
+    if (input.pressed('editorPrevColor') === true) {
+      this.setColor(names[(index + names.length - 1) % names.length])
+    }
+    if (input.pressed('editorNextColor') === true) {
+      this.setColor(names[(index + 1) % names.length])
+    }
+  }
+
+  /**
+   * クリックされたボクセル、またはグリッド上の位置に選択中のツールを使う
+   * @param {object} event - Picker が発行したイベント
+   * @param {boolean} isPlane - グリッドの平面がクリックされたかどうか
+   */
+  handleClick (event, isPlane) {
+    const pointerEvent = event.originalEvent
+    if (this.enabled === false || pointerEvent == null || pointerEvent.altKey === true) {
+      return
+    }
+    let tool = this.tool
+    if (pointerEvent.shiftKey === true) {
+      tool = 'remove'
+    } else if (pointerEvent.ctrlKey === true || pointerEvent.metaKey === true) {
+      tool = 'eyedropper'
+    }
+
+    if (isPlane === true) {
+      // グリッドの上には追加だけができる
+      if (tool === 'add') {
+        const point = this.group.worldToLocal(event.intersection.point.clone())
+        const x = Math.round(point.x / this.unit)
+        const z = Math.round(point.z / this.unit)
+        this.apply([{ key: cellKey(x, 0, z), cell: { x, y: 0, z }, name: this.color }])
+      }
+      return
+    }
+
+    const cell = this.getCell(event.object, event.instanceId)
+    if (cell === null) {
+      return
+    }
+    switch (tool) {
+      case 'add': {
+        // クリックした面の向きに隣のセルを追加する
+        const normal = event.intersection.face.normal
+        const x = cell.x + Math.round(normal.x)
+        const y = cell.y + Math.round(normal.y)
+        const z = cell.z + Math.round(normal.z)
+        this.apply([{ key: cellKey(x, y, z), cell: { x, y, z }, name: this.color }])
+        break
+      }
+      case 'remove':
+        this.apply([{ key: cellKey(cell.x, cell.y, cell.z), cell: cell, name: null }])
+        break
+      case 'paint':
+        if (cell.name !== this.color) {
+          this.apply([{ key: cellKey(cell.x, cell.y, cell.z), cell: cell, name: this.color }])
+        }
+        break
+      case 'eyedropper':
+        this.setColor(cell.name)
+        break
+    }
+  }
+
+  /**
+   * Picker で当たったメッシュからセルを求める
+   * @param {THREE.Mesh} object - 当たったメッシュ
+   * @param {number} [instanceId] - InstancedMesh の場合はインスタンスの番号
+   * @return {{x: number, y: number, z: number, name: string}|null}
+   */
+  getCell (object, instanceId) {
+    const mesh = object.isInstancedMesh === true ? this.batches.findMesh(object, instanceId) : object
+    if (mesh === undefined || mesh.userData.cell === undefined) {
+      return null
+    }
+    return this.cells.get(mesh.userData.cell) || null
+  }
+
+  /**
+   * セルを変更して、元に戻せるように履歴に積む
+   * @param {Array<{key: string, cell: object, name: string|null}>} changes - 変更するセルと新しいパレット名（null なら削除）
+   */
+  apply (changes) {
+    const record = changes.map((change) => {
+      const current = this.cells.get(change.key)
+      return {
+        key: change.key,
+        cell: change.cell,
+        before: current !== undefined ? current.name : null,
+        after: change.name,
+      }
+    }).filter((change) => change.before !== change.after)
+    if (record.length === 0) {
+      return
+    }
+    this.undoStack.push(record)
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift()
+    }
+    this.redoStack = []
+    this.commit(record, 'after')
+  }
+
+  /**
+   * 直前の操作を元に戻す
+   */
+  undo () {
+    const record = this.undoStack.pop()
+    if (record !== undefined) {
+      this.redoStack.push(record)
+      this.commit(record, 'before')
+    }
+  }
+
+  /**
+   * 元に戻した操作をやり直す
+   */
+  redo () {
+    const record = this.redoStack.pop()
+    if (record !== undefined) {
+      this.undoStack.push(record)
+      this.commit(record, 'after')
+    }
+  }
+
+  /**
+   * 変更の一覧の before か after の状態をセルに書き込み、メッシュを作り直す
+   * @param {Array<object>} record - 変更の一覧
+   * @param {string} state - 'before' または 'after'
+   */
+  commit (record, state) {
+    record.forEach((change) => {
+      const name = change[state]
+      if (name === null) {
+        this.cells.delete(change.key)
+      } else {
+        const { x, y, z } = change.cell
+        this.cells.set(change.key, { x, y, z, name })
+      }
+    })
+    this.rebuild()
+  }
+
+  /**
+   * セルの状態からボクセルのメッシュを作り直す
+   * ボクセルの数は多くても数百なので、変更のたびにすべて作り直す
+   */
+  rebuild () {
+    // 以前の InstancedMesh が持つインスタンスごとのバッファを解放する
+    this.group.children.slice().forEach((child) => {
+      this.group.remove(child)
+      if (child.isInstancedMesh === true) {
+        child.dispose()
+      }
+    })
+    this.meshes = []
+    this.cells.forEach((cell, key) => {
+      const mesh = new THREE.Mesh(this.geometry, this.materials[cell.name])
+      mesh.name = cell.name
+      mesh.position.set(cell.x * this.unit, cell.y * this.unit, cell.z * this.unit)
+      mesh.userData.cell = key
+      this.group.add(mesh)
+      this.meshes.push(mesh)
+    })
+    this.batches = instanceMeshes(this.group)
+    this.onChange(this.batches, this.meshes)
+    this.refreshToolbar()
+  }
+
+  /**
+   * セルの範囲を求める
+   * @return {{min: THREE.Vector3, max: THREE.Vector3}}
+   */
+  getBounds () {
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity)
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity)
+    this.cells.forEach((cell) => {
+      min.min(cell)
+      max.max(cell)
+    })
+    return { min, max }
+  }
+
+  /**
+   * 現在のボクセルをスプライト定義として書き出す
+   * パレットは現在のマテリアルの色で書き出すので、切り替えたパレットもそのまま残る
+   * @return {object} sprite.js で読み込める形式のオブジェクト
+   */
+  toSprite () {
+    const palette = {}
+    Object.keys(this.materials).forEach((name) => {
+      palette[name] = `#${this.materials[name].color.getHexString()}`
+    })
+    if (this.cells.size === 0) {
+      return { unit: this.unit, origin: [0, 0, 0], palette: palette, keys: {}, layers: [] }
+    }
+
+    // 元のスプライトの文字を使い回す。文字が決まらない色があれば行を配列にする
+    const keys = {}
+    const letters = {}
+    Object.keys(this.sprite.keys).forEach((key) => {
+      const name = this.sprite.keys[key]
+      if (letters[name] === undefined) {
+        letters[name] = key
+        keys[key] = name
+      }
+    })
+    const usesArrays = Array.from(this.cells.values()).some((cell) => letters[cell.name] === undefined)
+    if (usesArrays === true) {
+      Object.keys(keys).forEach((key) => { delete keys[key] })
+      Object.keys(palette).forEach((name) => { keys[name] = name })
+    }
+
+    // 手前（z が大きい方）からレイヤーを並べ、各レイヤーの行は上から並べる
+    const { min, max } = this.getBounds()
+    const width = max.x - min.x + 1
+    const height = max.y - min.y + 1
+    const depth = max.z - min.z + 1
+    const layers = []
+    for (let layer = 0; layer < depth; ++layer) {
+      const rows = []
+      for (let row = 0; row < height; ++row) {
+        const cells = []
+        for (let column = 0; column < width; ++column) {
+          const cell = this.cells.get(cellKey(min.x + column, max.y - row, max.z - layer))
+          if (usesArrays === true) {
+            cells.push(cell !== undefined ? cell.name : null)
+          } else {
+            cells.push(cell !== undefined ? letters[cell.name] : '.')
+          }
+        }
+        rows.push(usesArrays === true ? cells : cells.join(''))
+      }
+      layers.push(rows)
+    }
+
+    return {
+      unit: this.unit,
+      origin: [-min.x, -min.y, max.z],
+      palette: palette,
+      keys: keys,
+      layers: layers,
+    }
+  }
+
+  /**
+   * 現在のボクセルを MagicaVoxel の .vox として書き出す
+   * MagicaVoxel は Z が上なので、three.js の Y を Z に、-Z を Y に入れ替える
+   * @return {ArrayBuffer}
+   */
+  toVOX () {
+    const names = Object.keys(this.materials)
+    // 色の番号は 1 から始まる
+    const palette = [0]
+    names.forEach((name) => {
+      const color = this.materials[name].color
+      const r = Math.round(color.r * 255)
+      const g = Math.round(color.g * 255)
+      const b = Math.round(color.b * 255)
+      palette.push((0xff000000 | (b << 16) | (g << 8) | r) >>> 0)
+    })
+    const { min, max } = this.getBounds()
+    const data = []
+    this.cells.forEach((cell) => {
+      data.push(cell.x - min.x, max.z - cell.z, cell.y - min.y, names.indexOf(cell.name) + 1)
+    })
+    const size = this.cells.size > 0
+      ? { x: max.x - min.x + 1, y: max.z - min.z + 1, z: max.y - min.y + 1 }
+      : { x: 1, y: 1, z: 1 }
+    return new VOXExporter().parse({ size: size, data: data, palette: palette })
+  }
+
+  /**
+   * 操作用のツールバーを生成する
+   * @return {HTMLElement}
+   */
+  createToolbar () {
+    const element = document.createElement('div')
+    Object.assign(element.style, {
+      display: 'none',
+      position: 'fixed',
+      left: '8px',
+      bottom: '8px',
+      padding: '8px',
+      background: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      font: '11px/1.6 monospace',
+      zIndex: '1',
+    })
+    const button = (label, onClick) => {
+      const b = document.createElement('button')
+      b.textContent = label
+      b.addEventListener('click', onClick, false)
+      return b
+    }
+
+    // ツール
+    this.toolButtons = TOOLS.map((tool, index) => {
+      const b = button(`${index + 1}:${tool}`, () => { this.setTool(tool) })
+      element.appendChild(b)
+      return b
+    })
+    element.appendChild(document.createElement('br'))
+
+    // 色
+    this.colorButtons = Object.keys(this.materials).map((name) => {
+      const b = button('', () => { this.setColor(name) })
+      b.title = name
+      Object.assign(b.style, { width: '20px', height: '20px', margin: '2px' })
+      element.appendChild(b)
+      return b
+    })
+    element.appendChild(document.createElement('br'))
+
+    // 履歴と書き出し
+    element.appendChild(button('undo', () => { this.undo() }))
+    element.appendChild(button('redo', () => { this.redo() }))
+    element.appendChild(button('export json', () => {
+      const json = JSON.stringify(this.toSprite(), null, 2)
+      download(new Blob([json], { type: 'application/json' }), 'sprite.json')
+    }))
+    element.appendChild(button('export vox', () => {
+      download(new Blob([this.toVOX()], { type: 'application/octet-stream' }), 'sprite.vox')
+    }))
+    this.status = document.createElement('div')
+    element.appendChild(this.status)
+
+    document.body.appendChild(element)
+    return element
+  }
+
+  /**
+   * ツールバーの表示を現在の状態に合わせる
+   */
+  refreshToolbar () {
+    if (this.toolbar === undefined) {
+      return
+    }
+    this.toolButtons.forEach((b, index) => {
+      b.style.fontWeight = TOOLS[index] === this.tool ? 'bold' : 'normal'
+    })
+    Object.keys(this.materials).forEach((name, index) => {
+      const b = this.colorButtons[index]
+      b.style.background = `#${this.materials[name].color.getHexString()}`
+      b.style.outline = name === this.color ? '2px solid #fff' : 'none'
+    })
+    this.status.textContent = `${this.tool} / ${this.color} / ${this.cells.size} voxels`
+  }
+
+  /**
+   * イベントリスナーとツールバーを取り除く
+   * グリッドとボクセルはシーンと一緒に App3 の dispose で解放される
+   */
+  dispose () {
+    this.group.removeEventListener('click', this.handleVoxelClick)
+    this.plane.removeEventListener('click', this.handlePlaneClick)
+    if (this.toolbar.parentNode != null) {
+      this.toolbar.parentNode.removeChild(this.toolbar)
+    }
+  }
+}
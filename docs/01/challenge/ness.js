@@ -0,0 +1,46 @@
+// ネスのスプライト定義
+// keys の各文字がパレット名に対応し、'.' は何も置かないことを表す
+export default {
+  // 1 ボクセルの大きさ
+  unit: 0.1,
+  // 原点に置くボクセルの位置（左からの列, 下からの行, 手前からのレイヤー）
+  origin: [6, 0, 0],
+  // パレット名と色
+  // パレット名は色の名前ではなく役割の名前にしておき、色は palettes.js で切り替える
+  palette: {
+    skin: '#f6bd98',        // 肌、明るい
+    skinShadow: '#eba276',  // 肌、暗い
+    cheek: '#f59898',       // 頬
+    mouth: '#4e2a24',       // 口
+    mouthShadow: '#2d1715', // 口、暗い
+    eyes: '#111',           // 目
+    hair: '#111',           // 髪
+    hat: '#a23b4b',         // 帽子
+    hatAccent: '#6b2633',   // 帽子、暗い
+  },
+  // 文字とパレット名の対応
+  keys: {
+    S: 'skin',
+    D: 'skinShadow',
+    P: 'cheek',
+    M: 'mouth',
+    m: 'mouthShadow',
+    E: 'eyes',
+    H: 'hair',
+    R: 'hat',
+    r: 'hatAccent',
+  },
+  layers: [
+    [
+      '.RrRRRRRRRrR.',
+      '.HHHHHHHHHHH.',
+      'HHHDDHHHDDHHH',
+      'SHSSESSSESSHS',
+      'SSSSESSSESSSS',
+      '.SPPSSSSSPPS.',
+      '..PPSSSSSPP..',
+      '...SSMmMSS...',
+      '....DSSSD....',
+    ],
+  ],
+}
@@ -0,0 +1,33 @@
+// ネスのパレット定義
+// 役割（ness.js の palette のキー）ごとの色を、パレットの名前ごとにまとめる
+// 書かなかった役割は、切り替える前の色のまま残る
+import ness from './ness.js'
+
+export default {
+  // ness.js の元の色
+  original: ness.palette,
+  // 夜の明かりの下のような暗い色
+  night: {
+    skin: '#8f7fa8',
+    skinShadow: '#6e5f8a',
+    cheek: '#a07493',
+    mouth: '#2c2040',
+    mouthShadow: '#1a1329',
+    eyes: '#0b0714',
+    hair: '#1d1633',
+    hat: '#3e4a8c',
+    hatAccent: '#28306a',
+  },
+  // 4 色の携帯ゲーム機風
+  handheld: {
+    skin: '#9bbc0f',
+    skinShadow: '#8bac0f',
+    cheek: '#8bac0f',
+    mouth: '#306230',
+    mouthShadow: '#0f380f',
+    eyes: '#0f380f',
+    hair: '#0f380f',
+    hat: '#306230',
+    hatAccent: '#0f380f',
+  },
+}
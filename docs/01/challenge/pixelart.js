@@ -0,0 +1,173 @@
+// ドット絵からボクセルスプライトへの変換 -------------------------------------
+// ImageData（もしくは width, height, data を持つデコード済みの PNG）を読み取り、
+// 不透明なピクセル 1 つにつきボクセル 1 つを置いたスプライト定義を生成します。
+// 生成されるのは sprite.js と同じ形式のデータなので、createSpriteMaterials と
+// createSpriteMeshes にそのまま渡してトゥーンマテリアルのボックスにできます。
+// ----------------------------------------------------------------------------
+
+import * as THREE from '../../lib/three.module.js'
+
+/**
+ * 変換のオプションの既定値
+ */
+const DEFAULT_OPTIONS = {
+  unit: 0.1,           // 1 ボクセルの大きさ
+  depth: 1,            // 押し出すレイヤー数（深度画像がある場合は最大値）
+  depthImage: null,    // 明るいピクセルほど奥まで押し出す深度画像
+  alphaThreshold: 128, // この値以上のアルファを不透明とみなす
+  palette: null,       // 量子化に使うパレット（省略時は画像の色をそのまま使う）
+}
+
+/**
+ * 色を 0 〜 255 の RGB に分解する
+ * @param {THREE.ColorRepresentation} color - 色
+ * @return {Array<number>} RGB
+ */
+function toRGB (color) {
+  const hex = new THREE.Color(color).getHex()
+  return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff]
+}
+
+/**
+ * RGB を '#rrggbb' 形式の文字列にする
+ * @param {Array<number>} rgb - RGB
+ * @return {string}
+ */
+function toHexString (rgb) {
+  return '#' + rgb.map((v) => v.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * パレットの中からもっとも近い色の名前を探す
+ * @param {Array<{name: string, rgb: Array<number>}>} entries - パレットの色
+ * @param {Array<number>} rgb - 探す色
+ * @return {string} パレット名
+ */
+function findNearest (entries, rgb) {
+  let nearest = null
+  let minDistance = Infinity
+  entries.forEach((entry) => {
+    const dr = entry.rgb[0] - rgb[0]
+    const dg = entry.rgb[1] - rgb[1]
+    const db = entry.rgb[2] - rgb[2]
+    const distance = dr * dr + dg * dg + db * db
+    if (distance < minDistance) {
+      minDistance = distance
+      nearest = entry.name
+    }
+  })
+  return nearest
+}
+
+/**
+ * ドット絵をボクセルスプライトの定義に変換する
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image - RGBA 順に並んだ画像
+ * @param {object} [options] - DEFAULT_OPTIONS を参照
+ * @return {object} sprite.js の形式のスプライト定義
+ */
+export function imageToSprite (image, options = {}) {
+  const param = Object.assign({}, DEFAULT_OPTIONS, options)
+  const { width, height, data } = image
+
+  if (param.depthImage != null && (param.depthImage.width !== width || param.depthImage.height !== height)) {
+    throw new Error(`imageToSprite: depth image is ${param.depthImage.width}x${param.depthImage.height}, expected ${width}x${height}.`)
+  }
+
+  // パレットがあれば名前と RGB の組にしておく
+  const palette = {}
+  const entries = []
+  if (param.palette != null) {
+    Object.keys(param.palette).forEach((name) => {
+      palette[name] = param.palette[name]
+      entries.push({ name: name, rgb: toRGB(param.palette[name]) })
+    })
+    if (entries.length === 0) {
+      throw new Error('imageToSprite: palette is empty.')
+    }
+  }
+
+  // 各ピクセルのパレット名と押し出す深さを求める
+  const names = []
+  const depths = []
+  for (let i = 0; i < width * height; ++i) {
+    const offset = i * 4
+    if (data[offset + 3] < param.alphaThreshold) {
+      names.push(null)
+      depths.push(0)
+      continue
+    }
+    const rgb = [data[offset], data[offset + 1], data[offset + 2]]
+    let name
+    if (entries.length > 0) {
+      name = findNearest(entries, rgb)
+    } else {
+      // パレットがない場合は色そのものを名前にする
+      name = toHexString(rgb)
+      palette[name] = name
+    }
+    names.push(name)
+
+    if (param.depthImage != null) {
+      // 深度画像の明るさを 1 〜 depth のレイヤー数に割り当てる
+      const d = param.depthImage.data
+      const luminance = (d[offset] * 0.299 + d[offset + 1] * 0.587 + d[offset + 2] * 0.114) / 255
+      depths.push(1 + Math.round(luminance * (param.depth - 1)))
+    } else {
+      depths.push(param.depth)
+    }
+  }
+
+  // レイヤーごとに、その深さまで届くピクセルだけを並べる
+  const maxDepth = depths.reduce((max, d) => Math.max(max, d), 0)
+  const layers = []
+  for (let layer = 0; layer < maxDepth; ++layer) {
+    const rows = []
+    for (let y = 0; y < height; ++y) {
+      const row = []
+      for (let x = 0; x < width; ++x) {
+        const i = y * width + x
+        row.push(depths[i] > layer ? names[i] : null)
+      }
+      rows.push(row)
+    }
+    layers.push(rows)
+  }
+
+  // 行は配列なので、パレット名をそのままキーとして使う
+  const keys = {}
+  Object.keys(palette).forEach((name) => {
+    keys[name] = name
+  })
+
+  return {
+    unit: param.unit,
+    // 足元の中央を原点にする
+    origin: [Math.floor(width / 2), 0, 0],
+    palette: palette,
+    keys: keys,
+    layers: layers,
+  }
+}
+
+/**
+ * 画像を読み込んで ImageData を取得する（ブラウザ向け）
+ * @param {string} url - 画像の URL
+ * @return {Promise<ImageData>}
+ */
+export function loadImageData (url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.addEventListener('load', () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = image.width
+      canvas.height = image.height
+      const context = canvas.getContext('2d')
+      context.drawImage(image, 0, 0)
+      resolve(context.getImageData(0, 0, image.width, image.height))
+    }, false)
+    image.addEventListener('error', () => {
+      reject(new Error(`loadImageData: failed to load ${url}.`))
+    }, false)
+    image.src = url
+  })
+}
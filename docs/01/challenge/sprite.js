@@ -0,0 +1,87 @@
+// ボクセルスプライト ---------------------------------------------------------
+// キャラクターを「名前付きのパレット」と「文字の行（または 3 次元配列）」で記述
+// したデータから、ボックスメッシュを組み立てるためのユーティリティです。
+// メッシュを 1 つずつ手書きする代わりにデータを書くだけで済むので、新しいキャラ
+// クターを追加するのも、位置を調整するのも簡単になります。
+// ----------------------------------------------------------------------------
+
+import * as THREE from '../../lib/three.module.js'
+
+/**
+ * 常に空白として扱う文字
+ */
+const EMPTY_KEYS = ['.', ' ']
+
+/**
+ * 1 ボクセルの大きさの既定値
+ */
+const DEFAULT_UNIT = 0.1
+
+/**
+ * スプライトのパレットから名前付きのトゥーンマテリアルを生成する
+ * @param {object} sprite - スプライト定義
+ * @return {Object<string, THREE.MeshToonMaterial>} パレット名をキーにしたマテリアル
+ */
+export function createSpriteMaterials (sprite) {
+  const materials = {}
+  Object.keys(sprite.palette).forEach((name) => {
+    materials[name] = new THREE.MeshToonMaterial({ color: sprite.palette[name] })
+  })
+  return materials
+}
+
+/**
+ * スプライト定義を走査してボクセルの一覧を返す
+ * layers は手前（z = 0）から奥に向かって並び、各レイヤーの行は上から下に並ぶ
+ * 行は文字列でも配列でもよく、配列の場合は null と undefined も空白として扱う
+ * @param {object} sprite - スプライト定義
+ * @return {Array<{name: string, x: number, y: number, z: number}>} パレット名とワールド座標
+ */
+export function parseSprite (sprite) {
+  const unit = sprite.unit !== undefined ? sprite.unit : DEFAULT_UNIT
+  const origin = sprite.origin || [0, 0, 0]
+  const voxels = []
+
+  sprite.layers.forEach((rows, layer) => {
+    rows.forEach((row, rowIndex) => {
+      // 下の行ほど y が小さくなるように、行番号を下から数え直す
+      const y = rows.length - 1 - rowIndex
+      Array.from(row).forEach((key, x) => {
+        if (key == null || EMPTY_KEYS.includes(key)) {
+          return
+        }
+        const name = sprite.keys[key]
+        if (name === undefined) {
+          throw new Error(`Sprite: unknown key "${key}" at layer ${layer}, row ${rowIndex}, column ${x}.`)
+        }
+        if (sprite.palette[name] === undefined) {
+          throw new Error(`Sprite: key "${key}" refers to "${name}", which is not in the palette.`)
+        }
+        voxels.push({
+          name: name,
+          x: (x - origin[0]) * unit,
+          y: (y - origin[1]) * unit,
+          z: -(layer - origin[2]) * unit,
+        })
+      })
+    })
+  })
+
+  return voxels
+}
+
+/**
+ * スプライト定義からボックスメッシュを生成する
+ * @param {object} sprite - スプライト定義
+ * @param {THREE.BufferGeometry} geometry - 全ボクセルで共有するジオメトリ
+ * @param {Object<string, THREE.Material>} materials - パレット名をキーにしたマテリアル
+ * @return {Array<THREE.Mesh>} 位置が設定済みのメッシュ
+ */
+export function createSpriteMeshes (sprite, geometry, materials) {
+  return parseSprite(sprite).map((voxel) => {
+    const mesh = new THREE.Mesh(geometry, materials[voxel.name])
+    mesh.name = voxel.name
+    mesh.position.set(voxel.x, voxel.y, voxel.z)
+    return mesh
+  })
+}
@@ -10,77 +10,93 @@
 
 // 必要なモジュールを読み込み
 import * as THREE from '../../lib/three.module.js'
-import { OrbitControls } from '../../lib/OrbitControls.js'
+import { App3 } from '../../lib/App3.js'
+import { ParamPanel } from '../../lib/ParamPanel.js'
+import { createLayout, LAYOUTS } from '../../lib/Layout.js'
+import { ViewportManager, createOrthographicCamera } from '../../lib/Viewports.js'
+import { CameraBookmarks } from '../../lib/CameraBookmarks.js'
 
 // DOM がパースされたことを検出するイベントを設定
 window.addEventListener('DOMContentLoaded', () => {
   // 制御クラスのインスタンスを生成
-  const app = new App3()
+  const app = new Sample()
   // 初期化
   app.init()
+  // URL に ?views=quad（4 分割）や ?views=pip（小窓）を付けた場合は複数のビューで描画する
+  const views = new URLSearchParams(window.location.search).get('views')
+  if (views !== null) {
+    app.setupViews(views)
+  }
+  // URL に ?panel を付けた場合は定数を調整するためのパネルを表示する
+  if (new URLSearchParams(window.location.search).has('panel') === true) {
+    app.panel = new ParamPanel(app)
+  }
   // 描画
   app.render()
 }, false)
 
 /**
- * three.js を効率よく扱うために自家製の制御クラスを定義
+ * 共通の制御クラス App3 を継承して、このサンプル固有の処理だけを定義する
  */
-class App3 {
-  /**
-   * カメラ定義のための定数
-   */
-  static get CAMERA_PARAM () {
-    return {
-      // fovy は Field of View Y のことで、縦方向の視野角を意味する
-      fovy: 60,
-      // 描画する空間のアスペクト比（縦横比）
-      aspect: window.innerWidth / window.innerHeight,
-      // 描画する空間のニアクリップ面（最近面）
-      near: 0.1,
-      // 描画する空間のファークリップ面（最遠面）
-      // ニアクリップ面とファークリップ面の外にあるメッシュは見えなくなる
-      far: 10.0,
-      x: 0.0,
-      y: 2.0,
-      z: 5.0,
-      lookAt: new THREE.Vector3(0.0, 0.0, 0.0),
-    }
-  }
-
+class Sample extends App3 {
   /**
    * レンダラー定義のための定数
    */
   static get RENDERER_PARAM () {
-    return {
+    return Object.assign({}, super.RENDERER_PARAM, {
       // レンダラーが背景をリセットする際に使われる背景色
       clearColor: 0x0b0114,
-      // レンダラーが描画する領域の横幅
-      width: window.innerWidth,
-      // レンダラーが描画する領域の縦幅
-      height: window.innerHeight,
-    }
+    })
   }
 
   /**
-   * ディレクショナルライト定義のための定数
+   * 入力定義のための定数
    */
-  static get DIRECTIONAL_LIGHT_PARAM () {
+  static get INPUT_PARAM () {
     return {
-      color: 0xffffff, // 光の色
-      intensity: 1.0,  // 光の強度
-      x: 1.0,          // 光の向きを表すベクトルの X 要素
-      y: 1.0,          // 光の向きを表すベクトルの Y 要素
-      z: 1.0           // 光の向きを表すベクトルの Z 要素
+      // スペースキー、3 本指のタッチ、ゲームパッドの A ボタンで回転させる
+      rotate: ['code:Space', 'touch:3', 'gamepad:0'],
     }
   }
 
   /**
-   * アンビエントライト定義のための定数
+   * ピッキング定義のための定数
    */
-  static get AMBIENT_LIGHT_PARAM () {
+  static get PICKER_PARAM () {
+    return Object.assign({}, super.PICKER_PARAM, {
+      highlight: 0x441122, // ホバー中のボックスを光らせる色
+    })
+  }
+
+  /**
+   * 1 秒あたりの回転量（ラジアン）
+   * 以前は 60fps を前提に 1 フレームあたり 0.05 回していたので、その速さに合わせる
+   */
+  static get ROTATION_SPEED () {
+    return 3.0
+  }
+
+  /**
+   * 配置定義のための定数
+   * URL に ?layout=fibonacci&seed=2 のように付けると上書きできる
+   */
+  static get LAYOUT_PARAM () {
+    const search = new URLSearchParams(window.location.search)
+    // ?seed=2 のような数字は数値のシードとして扱い、それ以外の文字列はハッシュ値にする
+    const text = search.get('seed')
+    const seed = text === null ? 1 : /^\d+$/.test(text) === true ? Number(text) : text
+    // 知らない配置の種類では createLayout が例外を投げて何も表示されないので、random にする
+    const types = Object.keys(LAYOUTS).concat('noise')
+    let type = search.get('layout') || 'random'
+    if (types.includes(type) === false) {
+      console.warn(`Sample: unknown layout "${type}", using "random". Use one of ${types.join(', ')}.`)
+      type = 'random'
+    }
     return {
-      color: 0xffffff, // 光の色
-      intensity: 0.2,  // 光の強度
+      type: type,                             // 配置の種類（Layout.js を参照）
+      seed: seed,                             // 乱数のシード、同じなら毎回同じ配置になる
+      size: 5.0,                              // 散らす範囲
+      radius: 5.0,                            // 球状に並べる場合の半径
     }
   }
 
@@ -94,112 +110,21 @@ class App3 {
   }
 
   /**
-   * コンストラクタ
-   * @constructor
+   * ボックスの数
    */
-  constructor () {
-    this.renderer         // レンダラ
-    this.scene            // シーン
-    this.camera           // カメラ
-    this.directionalLight // ディレクショナルライト
-    this.ambientLight     // アンビエントライト
-    this.material         // マテリアル
-    this.boxGeometry      // ボックスジオメトリ
-    this.box              // ボックスメッシュ
-    this.sphereGeometry   // スフィアジオメトリ
-    this.sphere           // スフィアメッシュ
-    this.torusGeometry    // トーラスジオメトリ
-    this.torus            // トーラスメッシュ
-    this.coneGeometry     // コーンジオメトリ
-    this.cone             // コーンメッシュ
-    this.controls         // オービットコントロール
-    this.axesHelper       // 軸ヘルパー
-
-    this.isDown = false // キーの押下状態を保持するフラグ
-
-    // render メソッドはブラウザ制御で再帰的に呼び出されるので this を固定する
-    this.render = this.render.bind(this)
-
-    // キーの押下や離す操作を検出できるようにする
-    window.addEventListener('keydown', (keyEvent) => {
-      // スペースキーが押されている場合はフラグを立てる
-      switch (keyEvent.key) {
-        case ' ':
-          this.isDown = true
-          break
-        default:
-      }
-    }, false)
-    window.addEventListener('keyup', () => {
-      // なんらかのキーが離された操作で無条件にフラグを下ろす
-      this.isDown = false
-    }, false)
-
-    // リサイズイベント
-    // ()=>{} 定義された瞬間のthisで固定される
-    window.addEventListener('resize', () => {
-      // レンダラの大きさを設定
-      this.renderer.setSize(window.innerWidth, window.innerHeight)
-      // カメラが撮影する視錐台のアスペクト比を再設定
-      this.camera.aspect = window.innerWidth / window.innerHeight
-      // カメラのパラメータが変更されたときは行列を更新する
-      // ※なぜ行列の更新が必要なのかについてはネイティブなWebGLで
-      // 実装する際などにもう少し詳しく解説します
-      this.camera.updateProjectionMatrix()
-    }, false)
+  static get BOX_COUNT () {
+    return 10
   }
 
   /**
-   * 初期化処理
+   * 定数からシーン記述を組み立てる
+   * マテリアルとボックスも記述に含めるので、serialize() で書き出した記述には
+   * ボックスの配置まで含まれ、init に渡せば同じシーンを再現できる
+   * @return {object} シーン記述
    */
-  init () {
-    // レンダラー
-    this.renderer = new THREE.WebGLRenderer()
-    this.renderer.setClearColor(new THREE.Color(App3.RENDERER_PARAM.clearColor))
-    this.renderer.setSize(App3.RENDERER_PARAM.width, App3.RENDERER_PARAM.height)
-    const wrapper = document.querySelector('#webgl')
-    wrapper.appendChild(this.renderer.domElement)
+  static toSceneDescription () {
+    const description = super.toSceneDescription()
 
-    // シーン
-    this.scene = new THREE.Scene()
-
-    // カメラ
-    this.camera = new THREE.PerspectiveCamera(
-      App3.CAMERA_PARAM.fovy,
-      App3.CAMERA_PARAM.aspect,
-      App3.CAMERA_PARAM.near,
-      App3.CAMERA_PARAM.far,
-    )
-    this.camera.position.set(
-      App3.CAMERA_PARAM.x,
-      App3.CAMERA_PARAM.y,
-      App3.CAMERA_PARAM.z,
-    )
-    this.camera.lookAt(App3.CAMERA_PARAM.lookAt)
-
-    // ディレクショナルライト（平行光源）
-    this.directionalLight = new THREE.DirectionalLight(
-      App3.DIRECTIONAL_LIGHT_PARAM.color,
-      App3.DIRECTIONAL_LIGHT_PARAM.intensity
-    )
-    this.directionalLight.position.set(
-      App3.DIRECTIONAL_LIGHT_PARAM.x,
-      App3.DIRECTIONAL_LIGHT_PARAM.y,
-      App3.DIRECTIONAL_LIGHT_PARAM.z,
-    )
-    this.scene.add(this.directionalLight)
-
-    // アンビエントライト（環境光）
-    this.ambientLight = new THREE.AmbientLight(
-      App3.AMBIENT_LIGHT_PARAM.color,
-      App3.AMBIENT_LIGHT_PARAM.intensity,
-    )
-    this.scene.add(this.ambientLight)
-
-    // ジオメトリ
-    this.geometry = new THREE.BoxGeometry(1.0, 1.0, 1.0)
-
-    // マテリアル
     // - 反射光を表現できるマテリアル -----------------------------------------
     // MeshLambertMaterial は拡散光を表現できますが、MeshPhongMaterial を利用す
     // ると拡散光に加えて反射光を表現することができます。
@@ -207,50 +132,143 @@ class App3 {
     // また、視点（カメラ）の位置によって見え方に変化が表れるのも拡散光には見ら
     // れない反射光ならではの現象です。
     // ------------------------------------------------------------------------
-    this.material = new THREE.MeshPhongMaterial(App3.MATERIAL_PARAM)
+    description.materials = {
+      box: Object.assign({ type: 'phong' }, this.MATERIAL_PARAM),
+    }
 
     // 共通のジオメトリ、マテリアルから、複数のメッシュインスタンスを作成する @@@
-    const TORUS_COUNT = 10
-    const TRANSFORM_SCALE = 5.0
-    this.boxArray = []
-    for (let i = 0; i < TORUS_COUNT; ++i) {
-      // トーラスメッシュのインスタンスを生成
-      const box = new THREE.Mesh(this.geometry, this.material)
-      // 座標をランダムに散らす
-      box.position.x = (Math.random() * 2.0 - 1.0) * TRANSFORM_SCALE
-      box.position.y = (Math.random() * 2.0 - 1.0) * TRANSFORM_SCALE
-      box.position.z = (Math.random() * 2.0 - 1.0) * TRANSFORM_SCALE
-      // シーンに追加する
-      this.scene.add(box)
-      // 配列に入れておく
-      this.boxArray.push(box)
-    }
+    // buildScene は同じ引数のジオメトリを 1 つだけ生成して使い回すので、
+    // ボックスがいくつあってもジオメトリとマテリアルは 1 つずつになる
+    // 座標はシード付きの乱数で散らす
+    // Math.random() と違い、同じシードなら何度読み込んでも同じ配置になる
+    const param = this.LAYOUT_PARAM
+    description.meshes = createLayout(param.type, this.BOX_COUNT, param).map((transform) => {
+      return {
+        geometry: { type: 'box', args: [1.0, 1.0, 1.0] },
+        material: 'box',
+        position: transform.position.toArray(),
+        rotation: transform.rotation.toArray().slice(0, 3),
+        scale: transform.scale.toArray(),
+      }
+    })
+    return description
+  }
 
-    // コントロール
-    this.controls = new OrbitControls(this.camera, this.renderer.domElement)
+  /**
+   * コンストラクタ
+   * @constructor
+   */
+  constructor () {
+    super()
+
+    this.material         // マテリアル
+    this.geometry         // ボックスジオメトリ
+    this.boxArray         // ボックスメッシュの配列
+    this.bookmarks        // カメラの視点のブックマーク
+    this.panel = null     // ?panel を付けた場合に表示する ParamPanel
+  }
+
+  /**
+   * 初期化処理
+   */
+  setup () {
+    // シーン記述から生成したボックスとそのマテリアル、ジオメトリ
+    this.boxArray = this.sceneMeshes
+    this.material = this.sceneMaterials.box
+    this.geometry = this.boxArray.length > 0 ? this.boxArray[0].geometry : null
+
+    this.boxArray.forEach((box) => {
+      // クリックされたボックスは X 軸を中心に 90 度倒す
+      box.addEventListener('click', () => {
+        box.rotation.x += Math.PI / 2
+      })
+    })
+  }
+
+  /**
+   * 初期化処理
+   * ブックマークは OrbitControls を使うので、それが揃った後に生成する
+   * @param {object} [description] - シーン記述
+   */
+  init (description = null) {
+    super.init(description)
 
-    // ヘルパー
-    const axesBarLength = 5.0
-    this.axesHelper = new THREE.AxesHelper(axesBarLength)
-    this.scene.add(this.axesHelper)
+    // Shift + 1 〜 9 で今の視点を保存し、1 〜 9 でその視点へ回り込むように移動する
+    // 保存した視点は localStorage に残るので、再読み込みしても使える
+    this.bookmarks = new CameraBookmarks(this.camera, this.controls, { storageKey: 'sample-bookmarks' })
+    this.bookmarks.bindKeys(this.input)
   }
 
   /**
-   * 描画処理
+   * 同じシーンを複数のカメラで描画するビューを設定する
+   * @param {string} layout - 'quad'（透視投影と上、前、横の 4 分割）または 'pip'（透視投影に上からの小窓）
    */
-  render () {
-    // ループの設定
-    // 引数から受け取った関数を、スクリーンの更新のタイミングに合わせて呼び出してくれる
-    // ディスプレイのリフレッシュレート（60fps）に合わせて呼び出す
-    // 1秒間に60回呼び出される
-    // requestAnimationFrameは、関数を呼び出す際、グローバルスコープでその関数を実行する
-    requestAnimationFrame(this.render)
+  setupViews (layout) {
+    const viewports = new ViewportManager(this)
+    const size = Sample.LAYOUT_PARAM.size * 3.0
+    // 平行投影のビューには、見ている面に合わせた向きのグリッドを表示する
+    const createGrid = (axis) => {
+      const grid = new THREE.GridHelper(size, 15, 0x666666, 0x333333)
+      if (axis === 'z') {
+        grid.rotation.x = Math.PI / 2
+      } else if (axis === 'x') {
+        grid.rotation.z = Math.PI / 2
+      }
+      return grid
+    }
+
+    if (layout === 'pip') {
+      viewports.add({ name: 'perspective', camera: this.camera, controls: this.controls })
+      viewports.add({
+        camera: createOrthographicCamera('top', { size }),
+        rect: [0.7, 0.05, 0.25, 0.3],
+        clearColor: 0x1a1a2e,
+        controls: true,
+        helpers: [createGrid('y')],
+      })
+    } else {
+      viewports.add({ name: 'perspective', camera: this.camera, rect: [0, 0, 0.5, 0.5], controls: this.controls })
+      viewports.add({
+        camera: createOrthographicCamera('top', { size }),
+        rect: [0.5, 0, 0.5, 0.5],
+        clearColor: 0x1a1a2e,
+        controls: true,
+        helpers: [createGrid('y')],
+      })
+      viewports.add({
+        camera: createOrthographicCamera('front', { size }),
+        rect: [0, 0.5, 0.5, 0.5],
+        clearColor: 0x16213e,
+        controls: true,
+        helpers: [createGrid('z')],
+      })
+      viewports.add({
+        camera: createOrthographicCamera('right', { size }),
+        rect: [0.5, 0.5, 0.5, 0.5],
+        clearColor: 0x0f3460,
+        controls: true,
+        helpers: [createGrid('x')],
+      })
+    }
 
-    // コントロールを更新
-    this.controls.update()
+    // 平行投影のビューは向きを保ち、平行移動とズームだけにする
+    viewports.viewports.forEach((viewport) => {
+      if (viewport.camera.isOrthographicCamera === true) {
+        viewport.controls.enableRotate = false
+      }
+    })
+  }
 
-    // フラグに応じてオブジェクトの状態を変化させる
-    if (this.isDown === true) {
+  /**
+   * 更新処理
+   * @param {number} delta - 前のフレームからの経過時間（秒）
+   */
+  update (delta) {
+    // ブックマークした視点への移動
+    this.bookmarks.update(delta)
+
+    // 入力の状態に応じてオブジェクトの状態を変化させる
+    if (this.input.held('rotate') === true) {
       // rotation プロパティは Euler（オイラー）クラスのインスタンス
       // XYZ の各軸に対する回転をラジアンで指定する
       // y軸を中心に回転させる
@@ -258,12 +276,25 @@ class App3 {
       // three.jsでは、Object3Dという基底クラスがある
       // このクラスに属するインスタンスは皆rotationなどの便利なプロパティを持つ
       // メッシュやカメラは、いずれもObject3Dを継承している
+      // 1 フレームあたりではなく 1 秒あたりの回転量に経過時間を掛けるので、
+      // ディスプレイのリフレッシュレートが違っても同じ速さで回る
       this.boxArray.forEach((torus) => {
-        torus.rotation.y += 0.05
+        torus.rotation.y += Sample.ROTATION_SPEED * delta
       })
     }
-    // レンダラーで描画
-    // シーンにはBoxジオメトリから作ったメッシュが一つ入っている
-    this.renderer.render(this.scene, this.camera)
+  }
+
+  /**
+   * 破棄処理
+   */
+  dispose () {
+    if (this.bookmarks != null) {
+      this.bookmarks.dispose()
+    }
+    if (this.panel !== null) {
+      this.panel.dispose()
+      this.panel = null
+    }
+    super.dispose()
   }
 }
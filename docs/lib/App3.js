@@ -0,0 +1,554 @@
+// App3 -----------------------------------------------------------------------
+// three.js を効率よく扱うための制御クラスの共通部分です。
+// レンダラー、シーン、カメラ、ライト、コントロールの生成と描画ループはこのクラ
+// スが受け持ち、各サンプルはこれを継承して setup() と update() に固有の処理だけ
+// を書きます。
+//
+// - ライフサイクル
+//   init()        ... 共通の初期化を行ったあとに setup() を呼び出す
+//   setup()       ... メッシュの生成などサブクラス固有の初期化
+//   fixedUpdate() ... CLOCK_PARAM.fixedStep ごとに呼び出される
+//   update()      ... 毎フレーム描画の直前に呼び出される
+//   onResize()    ... 描画領域の大きさが変わったときに呼び出される
+//   dispose()     ... 描画ループとイベントリスナー、GPU のリソースをすべて解放する
+//
+// - 定数の上書き
+//   static get CAMERA_PARAM () {
+//     return Object.assign({}, super.CAMERA_PARAM, { far: 50.0 })
+//   }
+//   のように、親クラスの値に変更したい値だけを重ねて返します。
+//
+// - シーン記述
+//   init() に JSON のシーン記述（SceneDescription.js を参照）を渡すと、定数の
+//   代わりにその記述からカメラ、背景色、ライト、マテリアル、メッシュを生成し
+//   ます。serialize() で現在の状態をシーン記述として書き出せます。
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+import { OrbitControls } from './OrbitControls.js'
+import { Input } from './Input.js'
+import { Picker } from './Picker.js'
+import { FrameClock } from './FrameClock.js'
+import { buildScene, serializeScene } from './SceneDescription.js'
+
+/**
+ * オブジェクトとその子孫が参照するジオメトリ、マテリアル、テクスチャを解放する
+ * 同じリソースを共有するメッシュが多くても、解放は 1 度ずつにする
+ * @param {THREE.Object3D} root - 解放を始めるオブジェクト
+ */
+function disposeObject (root) {
+  const resources = new Set()
+  root.traverse((object) => {
+    if (object.geometry != null) {
+      resources.add(object.geometry)
+    }
+    if (object.material != null) {
+      const materials = Array.isArray(object.material) ? object.material : [object.material]
+      materials.forEach((material) => {
+        resources.add(material)
+        // マテリアルが参照しているテクスチャ（map や normalMap など）
+        Object.values(material).forEach((value) => {
+          if (value != null && value.isTexture === true) {
+            resources.add(value)
+          }
+        })
+      })
+    }
+    // AxesHelper や InstancedMesh のように dispose を持つオブジェクト自身
+    if (object !== root && typeof object.dispose === 'function') {
+      resources.add(object)
+    }
+  })
+  resources.forEach((resource) => {
+    resource.dispose()
+  })
+}
+
+/**
+ * three.js を効率よく扱うために自家製の制御クラスを定義
+ */
+export class App3 {
+  /**
+   * カメラ定義のための定数
+   */
+  static get CAMERA_PARAM () {
+    return {
+      // fovy は Field of View Y のことで、縦方向の視野角を意味する
+      fovy: 60,
+      // 描画する空間のアスペクト比（縦横比）は描画領域の大きさから求める
+      // 描画する空間のニアクリップ面（最近面）
+      near: 0.1,
+      // 描画する空間のファークリップ面（最遠面）
+      // ニアクリップ面とファークリップ面の外にあるメッシュは見えなくなる
+      far: 10.0,
+      x: 0.0,
+      y: 2.0,
+      z: 5.0,
+      lookAt: new THREE.Vector3(0.0, 0.0, 0.0),
+    }
+  }
+
+  /**
+   * レンダラー定義のための定数
+   */
+  static get RENDERER_PARAM () {
+    return {
+      // レンダラーが背景をリセットする際に使われる背景色
+      clearColor: 0x000000,
+      // canvas を入れる要素、描画する領域の大きさはこの要素の大きさに合わせる
+      container: '#webgl',
+      // ピクセル比の上限、高解像度のディスプレイで描画の負荷が上がりすぎないようにする
+      maxPixelRatio: 2.0,
+    }
+  }
+
+  /**
+   * ディレクショナルライト定義のための定数
+   */
+  static get DIRECTIONAL_LIGHT_PARAM () {
+    return {
+      color: 0xffffff, // 光の色
+      intensity: 1.0,  // 光の強度
+      x: 1.0,          // 光の向きを表すベクトルの X 要素
+      y: 1.0,          // 光の向きを表すベクトルの Y 要素
+      z: 1.0           // 光の向きを表すベクトルの Z 要素
+    }
+  }
+
+  /**
+   * アンビエントライト定義のための定数
+   */
+  static get AMBIENT_LIGHT_PARAM () {
+    return {
+      color: 0xffffff, // 光の色
+      intensity: 0.2,  // 光の強度
+    }
+  }
+
+  /**
+   * クロック定義のための定数
+   */
+  static get CLOCK_PARAM () {
+    return {
+      fixedStep: null, // fixedUpdate を呼び出す固定の時間刻み（秒）、null なら呼び出さない
+      maxDelta: 0.25,  // 1 フレームで進める時間の上限（秒）
+      timeScale: 1.0,  // 時間の速さ
+    }
+  }
+
+  /**
+   * 定数からシーン記述を組み立てる
+   * init にシーン記述が渡されなかった場合に使われる
+   * @return {object} シーン記述
+   */
+  static toSceneDescription () {
+    const camera = this.CAMERA_PARAM
+    const directional = this.DIRECTIONAL_LIGHT_PARAM
+    const ambient = this.AMBIENT_LIGHT_PARAM
+    return {
+      camera: {
+        fovy: camera.fovy,
+        near: camera.near,
+        far: camera.far,
+        position: [camera.x, camera.y, camera.z],
+        lookAt: camera.lookAt.toArray(),
+      },
+      renderer: {
+        clearColor: this.RENDERER_PARAM.clearColor,
+      },
+      lights: [
+        { type: 'directional', color: directional.color, intensity: directional.intensity, position: [directional.x, directional.y, directional.z] },
+        { type: 'ambient', color: ambient.color, intensity: ambient.intensity },
+      ],
+    }
+  }
+
+  /**
+   * ピッキング定義のための定数
+   */
+  static get PICKER_PARAM () {
+    return {
+      highlight: null,  // ホバー中のメッシュに付ける色、null なら色を変えない
+      dragThreshold: 4, // これ以上（CSS ピクセル）動いたら OrbitControls のドラッグとみなす
+    }
+  }
+
+  /**
+   * 入力定義のための定数
+   * アクション名をキーにして、割り当てる入力を並べる（書き方は Input.js を参照）
+   */
+  static get INPUT_PARAM () {
+    return {}
+  }
+
+  /**
+   * コンストラクタ
+   * @constructor
+   */
+  constructor () {
+    this.renderer         // レンダラ
+    this.scene            // シーン
+    this.camera           // カメラ
+    this.lookAt           // カメラの注視点
+    this.lights           // ライトの配列
+    this.directionalLight // ディレクショナルライト
+    this.ambientLight     // アンビエントライト
+    this.sceneMaterials   // シーン記述から生成した名前付きのマテリアル
+    this.sceneMeshes      // シーン記述から生成したメッシュ
+    this.controls         // オービットコントロール
+    this.axesHelper       // 軸ヘルパー
+    this.input            // アクションごとの入力状態
+    this.picker           // ポインターで指したメッシュにイベントを発行するピッカー
+    this.clock            // 経過時間を計測するクロック
+    this.container        // canvas を入れる要素
+    this.resizeObserver   // container の大きさの変化を検出するオブザーバー
+    this.composers = []   // 大きさを合わせる EffectComposer
+    this.viewports = null // 複数のビューに描画する場合の ViewportManager
+    this.frameId = null   // requestAnimationFrame の戻り値
+    this.isRunning = true   // 描画ループを回すかどうかのフラグ
+    this.isCapturing = false // FrameCapture が大きさを固定しているかどうかのフラグ
+    this.isDisposed = false // dispose 済みかどうかのフラグ
+
+    // render メソッドはブラウザ制御で再帰的に呼び出されるので this を固定する
+    this.render = this.render.bind(this)
+
+    // リサイズイベント
+    // ()=>{} 定義された瞬間のthisで固定される
+    this.handleResize = () => {
+      this.resize()
+    }
+  }
+
+  /**
+   * 初期化処理
+   * @param {object} [description] - シーン記述、省略時は定数から組み立てる
+   */
+  init (description = null) {
+    // 定数はサブクラスで上書きされている可能性があるのでコンストラクタから参照する
+    const param = this.constructor
+
+    // シーン記述が渡されなければ、定数からシーン記述を組み立てる
+    // 記述に誤りがある場合は buildScene が SceneDescriptionError を投げる
+    const built = buildScene(description != null ? description : param.toSceneDescription())
+
+    // レンダラー
+    this.renderer = this.createRenderer()
+    this.renderer.setClearColor(built.clearColor)
+    this.container = document.querySelector(param.RENDERER_PARAM.container)
+    this.container.appendChild(this.renderer.domElement)
+
+    // 入力
+    // キーボードは window で、ポインターを押す操作は canvas の上で検出する
+    this.input = new Input({ pointerTarget: this.renderer.domElement })
+    this.input.bindAll(param.INPUT_PARAM)
+
+    // シーン
+    this.scene = new THREE.Scene()
+
+    // カメラ
+    this.camera = built.camera
+    this.lookAt = built.lookAt
+
+    // ライト
+    // 最初のディレクショナルライトとアンビエントライトは、これまでどおりの名前でも参照できる
+    this.lights = built.lights
+    this.lights.forEach((light) => {
+      this.scene.add(light)
+    })
+    this.directionalLight = this.lights.find((light) => light.isDirectionalLight === true)
+    this.ambientLight = this.lights.find((light) => light.isAmbientLight === true)
+
+    // シーン記述に含まれるマテリアルとメッシュ
+    this.sceneMaterials = built.materials
+    this.sceneMeshes = built.meshes
+    this.sceneMeshes.forEach((mesh) => {
+      this.scene.add(mesh)
+    })
+
+    // サブクラス固有の初期化
+    this.setup()
+
+    // コントロール
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement)
+    this.controls.target.copy(this.lookAt)
+
+    // ピッカー
+    // シーン内のメッシュに pointerenter、pointerleave、click のイベントが届くようになる
+    this.picker = new Picker(this.camera, this.renderer.domElement, [this.scene], param.PICKER_PARAM)
+
+    // ヘルパー
+    const axesBarLength = 5.0
+    this.axesHelper = new THREE.AxesHelper(axesBarLength)
+    this.scene.add(this.axesHelper)
+
+    // クロック
+    this.clock = new FrameClock(param.CLOCK_PARAM)
+
+    // 描画領域の大きさを container に合わせる
+    // container の大きさはウィンドウ以外の理由でも変わるので ResizeObserver で監視し、
+    // ピクセル比だけが変わる場合（ブラウザのズームなど）に備えて resize イベントも使う
+    this.resize()
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.handleResize)
+      this.resizeObserver.observe(this.container)
+    }
+    window.addEventListener('resize', this.handleResize, false)
+  }
+
+  /**
+   * init から呼び出され、描画に使うレンダラーを生成する
+   * WebGL のない環境では、オーバーライドして FrameCapture の StandInRenderer などを返す
+   * @return {THREE.WebGLRenderer}
+   */
+  createRenderer () {
+    return new THREE.WebGLRenderer()
+  }
+
+  /**
+   * 現在のカメラ、背景色、ライトと、シーン記述から生成したマテリアルとメッシュを
+   * シーン記述に書き出す（setup で独自に生成したメッシュは含まない）
+   * 書き出した記述は JSON.stringify して保存し、init に渡せば同じシーンを再現できる
+   * @return {object} シーン記述
+   */
+  serialize () {
+    // ホバー中のメッシュは Picker が色を変えたマテリアルに差し替えているので、元に戻して書き出す
+    return this.picker.withoutHighlight(() => {
+      return serializeScene({
+        camera: this.camera,
+        lookAt: this.controls.target,
+        clearColor: this.renderer.getClearColor(new THREE.Color()),
+        lights: this.lights,
+        materials: this.sceneMaterials,
+        meshes: this.sceneMeshes,
+      })
+    })
+  }
+
+  /**
+   * 描画領域の大きさとピクセル比を container に合わせる
+   * カメラのアスペクト比と、attachComposer で登録した EffectComposer にも反映する
+   */
+  resize () {
+    // 書き出し中は FrameCapture が指定した大きさを保つ
+    if (this.renderer == null || this.isCapturing === true) {
+      return
+    }
+    const width = this.container.clientWidth
+    const height = this.container.clientHeight
+    // 非表示の間などは大きさが 0 になるので、何もしない
+    if (width === 0 || height === 0) {
+      return
+    }
+    const pixelRatio = Math.min(window.devicePixelRatio || 1.0, this.constructor.RENDERER_PARAM.maxPixelRatio)
+
+    // レンダラの大きさを設定
+    this.renderer.setPixelRatio(pixelRatio)
+    this.renderer.setSize(width, height)
+    // カメラが撮影する視錐台のアスペクト比を再設定
+    this.camera.aspect = width / height
+    // カメラのパラメータが変更されたときは行列を更新する
+    // ※なぜ行列の更新が必要なのかについてはネイティブなWebGLで
+    // 実装する際などにもう少し詳しく解説します
+    this.camera.updateProjectionMatrix()
+    // ポストプロセスの描画対象
+    this.composers.forEach((composer) => {
+      composer.setPixelRatio(pixelRatio)
+      composer.setSize(width, height)
+    })
+    // サブクラス固有の処理
+    this.onResize(width, height)
+  }
+
+  /**
+   * 描画領域の大きさに合わせて setSize と setPixelRatio を呼び出す EffectComposer を登録する
+   * @param {EffectComposer} composer - 登録するコンポーザー
+   */
+  attachComposer (composer) {
+    this.composers.push(composer)
+    if (this.renderer != null) {
+      this.resize()
+    }
+  }
+
+  /**
+   * 登録した EffectComposer を取り除く
+   * @param {EffectComposer} composer - 取り除くコンポーザー
+   */
+  detachComposer (composer) {
+    const index = this.composers.indexOf(composer)
+    if (index !== -1) {
+      this.composers.splice(index, 1)
+    }
+  }
+
+  /**
+   * サブクラス固有の初期化処理（メッシュの生成など）
+   */
+  setup () {}
+
+  /**
+   * 固定の時間刻みでの更新処理（CLOCK_PARAM.fixedStep を指定したときだけ呼び出される）
+   * 1 フレームの間に 0 回のことも複数回のこともある
+   * @param {number} step - 時間刻み（秒）
+   * @param {number} elapsed - 描画を始めてからの経過時間（秒）
+   */
+  fixedUpdate (step, elapsed) {}
+
+  /**
+   * 毎フレームの更新処理
+   * 速さは 1 秒あたりの量で書き、delta を掛けて使う
+   * 固定刻みの更新を使う場合は this.clock.alpha で前後の状態を補間できる
+   * @param {number} delta - 前のフレームからの経過時間（秒）
+   * @param {number} elapsed - 描画を始めてからの経過時間（秒）
+   */
+  update (delta, elapsed) {}
+
+  /**
+   * 描画領域の大きさが変わったときの処理
+   * @param {number} width - 新しい横幅（CSS ピクセル）
+   * @param {number} height - 新しい縦幅（CSS ピクセル）
+   */
+  onResize (width, height) {}
+
+  /**
+   * 破棄処理
+   * 描画ループを止め、イベントリスナーを取り除き、GPU のリソースを解放して、
+   * canvas を #webgl から取り外す
+   * サブクラスでシーンに追加していないリソースを生成した場合は、オーバーライド
+   * してそれを解放したあとに super.dispose() を呼び出す
+   */
+  dispose () {
+    if (this.isDisposed === true) {
+      return
+    }
+    this.isDisposed = true
+
+    // 描画ループを止める
+    this.stop()
+
+    // ビューごとに生成したコントロールとヘルパー
+    if (this.viewports != null) {
+      this.viewports.dispose()
+    }
+
+    // イベントリスナーを取り除く
+    window.removeEventListener('resize', this.handleResize, false)
+    if (this.resizeObserver != null) {
+      this.resizeObserver.disconnect()
+    }
+    if (this.input != null) {
+      this.input.dispose()
+    }
+    // ピッカーはハイライトのために差し替えたマテリアルを元に戻してから解放する
+    if (this.picker != null) {
+      this.picker.dispose()
+    }
+
+    // シーンに含まれるジオメトリ、マテリアル、テクスチャを解放する
+    if (this.scene != null) {
+      disposeObject(this.scene)
+      this.scene.clear()
+    }
+
+    // コントロール
+    if (this.controls != null) {
+      this.controls.dispose()
+    }
+
+    // レンダラーを解放して canvas を取り外す
+    if (this.renderer != null) {
+      this.renderer.dispose()
+      const canvas = this.renderer.domElement
+      if (canvas.parentNode != null) {
+        canvas.parentNode.removeChild(canvas)
+      }
+    }
+  }
+
+  /**
+   * 描画処理
+   * @param {number} [time] - requestAnimationFrame から渡される時刻（ミリ秒）
+   */
+  render (time) {
+    // ループの設定
+    // 引数から受け取った関数を、スクリーンの更新のタイミングに合わせて呼び出してくれる
+    // requestAnimationFrameは、関数を呼び出す際、グローバルスコープでその関数を実行する
+    if (this.isDisposed === true || this.isRunning === false) {
+      return
+    }
+    this.frameId = requestAnimationFrame(this.render)
+
+    // 1 フレーム分進めて描画する
+    this.step(time)
+  }
+
+  /**
+   * 1 フレーム分の更新と描画を行う
+   * 描画ループの外から呼び出せば、任意の時刻でフレームを進められる（FrameCapture など）
+   * @param {number} [time] - 現在時刻（ミリ秒）
+   */
+  step (time) {
+    // コントロールを更新
+    this.controls.update()
+    if (this.viewports != null) {
+      this.viewports.update()
+    }
+
+    // 入力の状態とポインターで指しているメッシュを更新
+    // 書き出し中は実際の操作に左右されないように、どちらも進めない
+    if (this.isCapturing === false) {
+      this.input.update()
+      this.picker.update()
+    }
+
+    // 時間を進める
+    const delta = this.clock.tick(time)
+
+    // サブクラス固有の更新
+    for (let i = 0; i < this.clock.steps; ++i) {
+      this.fixedUpdate(this.clock.fixedStep, this.clock.elapsed)
+    }
+    this.update(delta, this.clock.elapsed)
+
+    // 描画
+    this.draw(delta)
+  }
+
+  /**
+   * レンダラーで描画する
+   * ViewportManager を登録している場合は、そのビューごとに描画する
+   * EffectComposer を使う場合はオーバーライドして composer.render(delta) を呼び出す
+   * @param {number} delta - 前のフレームからの経過時間（秒）
+   */
+  draw (delta) {
+    if (this.viewports != null) {
+      this.viewports.render()
+      return
+    }
+    this.renderer.render(this.scene, this.camera)
+  }
+
+  /**
+   * 止めていた描画ループを再開する
+   * 止めていた間の時間は経過時間に含めない
+   */
+  start () {
+    if (this.isDisposed === true || this.isRunning === true) {
+      return
+    }
+    this.isRunning = true
+    this.clock.resume()
+    this.render()
+  }
+
+  /**
+   * 描画ループを止める
+   */
+  stop () {
+    this.isRunning = false
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId)
+      this.frameId = null
+    }
+  }
+}
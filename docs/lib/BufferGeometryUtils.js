@@ -1,6 +1,7 @@
 import {
 	BufferAttribute,
 	BufferGeometry,
+	Color,
 	Float32BufferAttribute,
 	InstancedBufferAttribute,
 	InterleavedBuffer,
@@ -295,6 +296,233 @@ function mergeGeometries( geometries, useGroups = false ) {
 
 }
 
+/**
+ * Builds a single geometry from a dense voxel grid. Faces between two solid
+ * voxels are culled and coplanar faces of the same palette index are merged
+ * into larger quads. Grid axes map directly to x, y and z in voxel units.
+ *
+ * @param  {{size: {x: number, y: number, z: number}, data: ArrayLike<number>}} grid palette index per voxel at x + size.x * ( y + size.y * z ), 0 is empty
+ * @param  {Array<ColorRepresentation>} palette colors indexed by palette index, null to skip vertex colors
+ * @param  {Boolean} useGroups emit one group per palette index (materialIndex = palette index) instead of vertex colors
+ * @return {BufferGeometry}
+ */
+function greedyMeshVoxels( grid, palette = null, useGroups = false ) {
+
+	const dims = [ grid.size.x, grid.size.y, grid.size.z ];
+	const data = grid.data;
+
+	if ( data.length < dims[ 0 ] * dims[ 1 ] * dims[ 2 ] ) {
+
+		console.error( 'THREE.BufferGeometryUtils: .greedyMeshVoxels() failed. grid.data is smaller than grid.size.' );
+		return null;
+
+	}
+
+	function getVoxel( x, y, z ) {
+
+		return data[ x + dims[ 0 ] * ( y + dims[ 1 ] * z ) ] || 0;
+
+	}
+
+	// sweep a plane along each axis and merge the visible faces found on it
+
+	const quads = [];
+	const x = [ 0, 0, 0 ];
+	const q = [ 0, 0, 0 ];
+
+	for ( let d = 0; d < 3; d ++ ) {
+
+		const u = ( d + 1 ) % 3;
+		const v = ( d + 2 ) % 3;
+		const mask = new Int32Array( dims[ u ] * dims[ v ] );
+
+		q[ 0 ] = 0;
+		q[ 1 ] = 0;
+		q[ 2 ] = 0;
+		q[ d ] = 1;
+
+		for ( x[ d ] = - 1; x[ d ] < dims[ d ]; ) {
+
+			// a face exists where exactly one side is solid, signed by the side it faces
+
+			let n = 0;
+
+			for ( x[ v ] = 0; x[ v ] < dims[ v ]; x[ v ] ++ ) {
+
+				for ( x[ u ] = 0; x[ u ] < dims[ u ]; x[ u ] ++ ) {
+
+					const a = x[ d ] >= 0 ? getVoxel( x[ 0 ], x[ 1 ], x[ 2 ] ) : 0;
+					const b = x[ d ] < dims[ d ] - 1 ? getVoxel( x[ 0 ] + q[ 0 ], x[ 1 ] + q[ 1 ], x[ 2 ] + q[ 2 ] ) : 0;
+
+					if ( ( a !== 0 ) === ( b !== 0 ) ) {
+
+						mask[ n ++ ] = 0;
+
+					} else if ( a !== 0 ) {
+
+						mask[ n ++ ] = a;
+
+					} else {
+
+						mask[ n ++ ] = - b;
+
+					}
+
+				}
+
+			}
+
+			x[ d ] ++;
+
+			// grow each face as wide, then as tall, as the mask allows
+
+			n = 0;
+
+			for ( let j = 0; j < dims[ v ]; j ++ ) {
+
+				for ( let i = 0; i < dims[ u ]; ) {
+
+					const c = mask[ n ];
+
+					if ( c === 0 ) {
+
+						i ++;
+						n ++;
+						continue;
+
+					}
+
+					let w = 1;
+
+					while ( i + w < dims[ u ] && mask[ n + w ] === c ) w ++;
+
+					let h = 1;
+
+					grow: for ( ; j + h < dims[ v ]; h ++ ) {
+
+						for ( let k = 0; k < w; k ++ ) {
+
+							if ( mask[ n + k + h * dims[ u ] ] !== c ) break grow;
+
+						}
+
+					}
+
+					const position = [ 0, 0, 0 ];
+					position[ d ] = x[ d ];
+					position[ u ] = i;
+					position[ v ] = j;
+
+					quads.push( { value: Math.abs( c ), sign: Math.sign( c ), d, u, v, position, w, h } );
+
+					for ( let l = 0; l < h; l ++ ) {
+
+						for ( let k = 0; k < w; k ++ ) {
+
+							mask[ n + k + l * dims[ u ] ] = 0;
+
+						}
+
+					}
+
+					i += w;
+					n += w;
+
+				}
+
+			}
+
+		}
+
+	}
+
+	// keep quads of the same palette index together so they can share a group
+
+	quads.sort( ( a, b ) => a.value - b.value );
+
+	const positions = [];
+	const normals = [];
+	const colors = [];
+	const indices = [];
+	const color = new Color();
+	const useColors = palette !== null && useGroups === false;
+
+	const geometry = new BufferGeometry();
+
+	let groupStart = 0;
+	let groupValue = quads.length > 0 ? quads[ 0 ].value : 0;
+
+	for ( let i = 0; i < quads.length; i ++ ) {
+
+		const { value, sign, d, u, v, position, w, h } = quads[ i ];
+
+		if ( useGroups && value !== groupValue ) {
+
+			geometry.addGroup( groupStart, indices.length - groupStart, groupValue );
+			groupStart = indices.length;
+			groupValue = value;
+
+		}
+
+		const du = [ 0, 0, 0 ];
+		const dv = [ 0, 0, 0 ];
+		du[ u ] = w;
+		dv[ v ] = h;
+
+		const normal = [ 0, 0, 0 ];
+		normal[ d ] = sign;
+
+		const offset = positions.length / 3;
+
+		for ( let k = 0; k < 3; k ++ ) positions.push( position[ k ] );
+		for ( let k = 0; k < 3; k ++ ) positions.push( position[ k ] + du[ k ] );
+		for ( let k = 0; k < 3; k ++ ) positions.push( position[ k ] + du[ k ] + dv[ k ] );
+		for ( let k = 0; k < 3; k ++ ) positions.push( position[ k ] + dv[ k ] );
+
+		for ( let k = 0; k < 4; k ++ ) normals.push( normal[ 0 ], normal[ 1 ], normal[ 2 ] );
+
+		if ( useColors ) {
+
+			color.set( palette[ value ] !== undefined ? palette[ value ] : 0xffffff );
+
+			for ( let k = 0; k < 4; k ++ ) colors.push( color.r, color.g, color.b );
+
+		}
+
+		// du x dv points along +d, so flip the winding for faces looking towards -d
+
+		if ( sign > 0 ) {
+
+			indices.push( offset, offset + 1, offset + 2, offset, offset + 2, offset + 3 );
+
+		} else {
+
+			indices.push( offset, offset + 2, offset + 1, offset, offset + 3, offset + 2 );
+
+		}
+
+	}
+
+	if ( useGroups && quads.length > 0 ) {
+
+		geometry.addGroup( groupStart, indices.length - groupStart, groupValue );
+
+	}
+
+	geometry.setIndex( indices );
+	geometry.setAttribute( 'position', new Float32BufferAttribute( positions, 3 ) );
+	geometry.setAttribute( 'normal', new Float32BufferAttribute( normals, 3 ) );
+
+	if ( useColors ) {
+
+		geometry.setAttribute( 'color', new Float32BufferAttribute( colors, 3 ) );
+
+	}
+
+	return geometry;
+
+}
+
 /**
  * @param {Array<BufferAttribute>} attributes
  * @return {BufferAttribute}
@@ -1336,6 +1564,7 @@ export {
 	computeMikkTSpaceTangents,
 	mergeGeometries,
 	mergeBufferGeometries,
+	greedyMeshVoxels,
 	mergeAttributes,
 	mergeBufferAttributes,
 	interleaveAttributes,
@@ -0,0 +1,335 @@
+// CameraBookmarks ------------------------------------------------------------
+// カメラの視点（注視点、位置、ズーム、視野角）に名前を付けていくつでも保存し、
+// 後からその視点までアニメーションで移動するためのクラスです。
+// OrbitControls の saveState() と reset() は 1 つしか保存できず、瞬時に切り替
+// わりますが、こちらは注視点を中心にした球面座標（距離、仰角、方位角）で補間す
+// るので、注視点の周りを回り込むように移動します。途中の角度と距離は
+// OrbitControls の制限（minPolarAngle、maxAzimuthAngle、minDistance など）の
+// 範囲に収めます。
+//
+//   const bookmarks = new CameraBookmarks(app.camera, app.controls, { storageKey: 'sample' })
+//   bookmarks.save('front')
+//   bookmarks.go('front')           // 描画ループから bookmarks.update(delta) を呼び出す
+//   bookmarks.bindKeys(app.input)   // 1 〜 9 で移動、Shift + 1 〜 9 で保存
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+
+/**
+ * 既定のオプション
+ */
+const DEFAULT_OPTIONS = {
+  duration: 1.0,    // 移動にかける時間（秒）
+  storageKey: null, // localStorage に保存する際のキー、null なら保存しない
+}
+
+/**
+ * 角度を -π から π の範囲に収める
+ * @param {number} angle - 角度（ラジアン）
+ * @return {number}
+ */
+function wrapAngle (angle) {
+  const twoPI = Math.PI * 2.0
+  return angle - twoPI * Math.floor((angle + Math.PI) / twoPI)
+}
+
+/**
+ * 名前付きの視点を保存し、アニメーションで移動するクラス
+ */
+export class CameraBookmarks {
+  /**
+   * コンストラクタ
+   * storageKey を指定した場合は、localStorage に保存されている視点を読み込む
+   * @constructor
+   * @param {THREE.PerspectiveCamera|THREE.OrthographicCamera} camera - カメラ
+   * @param {OrbitControls} controls - カメラを操作している OrbitControls
+   * @param {object} [options] - DEFAULT_OPTIONS を参照
+   */
+  constructor (camera, controls, options = {}) {
+    this.camera = camera
+    this.controls = controls
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+    this.bookmarks = new Map() // 名前と { target, position, zoom, fov }
+    this.transition = null     // 移動中の { from, to, elapsed, duration }
+    this.input = null          // bindKeys で登録した Input
+
+    // camera.up を Y 軸とみなす空間で球面座標を扱う（OrbitControls と同じ）
+    this.quaternion = new THREE.Quaternion().setFromUnitVectors(camera.up, new THREE.Vector3(0, 1, 0))
+    this.quaternionInverse = this.quaternion.clone().invert()
+
+    // ユーザーがカメラを操作し始めたら、移動を止めてそちらを優先する
+    this.handleStart = () => {
+      this.transition = null
+    }
+    this.controls.addEventListener('start', this.handleStart)
+
+    if (this.options.storageKey !== null) {
+      this.load()
+    }
+  }
+
+  /**
+   * 保存されている視点の名前の一覧
+   * @return {Array<string>}
+   */
+  get names () {
+    return Array.from(this.bookmarks.keys())
+  }
+
+  /**
+   * 移動中かどうか
+   * @return {boolean}
+   */
+  get isMoving () {
+    return this.transition !== null
+  }
+
+  /**
+   * 現在の視点に名前を付けて保存する（同じ名前があれば上書きする）
+   * @param {string} name - 視点の名前
+   */
+  save (name) {
+    this.bookmarks.set(name, {
+      target: this.controls.target.toArray(),
+      position: this.camera.position.toArray(),
+      zoom: this.camera.zoom,
+      fov: this.camera.fov !== undefined ? this.camera.fov : null,
+    })
+    this.store()
+  }
+
+  /**
+   * 視点を削除する
+   * @param {string} name - 視点の名前
+   */
+  remove (name) {
+    this.bookmarks.delete(name)
+    this.store()
+  }
+
+  /**
+   * 保存した視点に移動する
+   * @param {string} name - 視点の名前
+   * @param {object} [options]
+   * @param {number} [options.duration] - 移動にかける時間（秒）、0 ならすぐに切り替える
+   */
+  go (name, options = {}) {
+    const bookmark = this.bookmarks.get(name)
+    if (bookmark === undefined) {
+      throw new Error(`CameraBookmarks: unknown bookmark "${name}".`)
+    }
+    const duration = options.duration !== undefined ? options.duration : this.options.duration
+    const from = this.getView(this.controls.target, this.camera.position, this.camera.zoom, this.camera.fov)
+    const to = this.getView(
+      new THREE.Vector3().fromArray(bookmark.target),
+      new THREE.Vector3().fromArray(bookmark.position),
+      bookmark.zoom,
+      bookmark.fov,
+    )
+
+    // 方位角は制限がなければ近い方向に回り、制限があればその範囲の中を回る
+    const [fromTheta, toTheta] = this.getAzimuthRange(from.spherical.theta, to.spherical.theta)
+    from.spherical.theta = fromTheta
+    to.spherical.theta = toTheta
+
+    this.transition = { from, to, elapsed: 0, duration }
+    this.update(0)
+  }
+
+  /**
+   * 注視点と位置から、球面座標を含む視点を作る
+   * 仰角と距離、ズームは OrbitControls の制限の範囲に収める
+   * @param {THREE.Vector3} target - 注視点
+   * @param {THREE.Vector3} position - カメラの位置
+   * @param {number} zoom - ズーム
+   * @param {number|null} fov - 視野角
+   * @return {{target: THREE.Vector3, spherical: THREE.Spherical, zoom: number, fov: number|null}}
+   */
+  getView (target, position, zoom, fov) {
+    const controls = this.controls
+    const offset = position.clone().sub(target).applyQuaternion(this.quaternion)
+    const spherical = new THREE.Spherical().setFromVector3(offset)
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi, controls.minPolarAngle, controls.maxPolarAngle)
+    spherical.radius = THREE.MathUtils.clamp(spherical.radius, controls.minDistance, controls.maxDistance)
+    spherical.makeSafe()
+    return {
+      target: target.clone(),
+      spherical: spherical,
+      zoom: THREE.MathUtils.clamp(zoom, controls.minZoom, controls.maxZoom),
+      fov: fov !== undefined ? fov : null,
+    }
+  }
+
+  /**
+   * 補間の始点と終点の方位角を求める
+   * 制限がある場合は両端を制限の中に収め、制限の外を通らないように連続した値にする
+   * @param {number} from - 始点の方位角
+   * @param {number} to - 終点の方位角
+   * @return {Array<number>} [始点, 終点]
+   */
+  getAzimuthRange (from, to) {
+    let min = this.controls.minAzimuthAngle
+    let max = this.controls.maxAzimuthAngle
+    if (isFinite(min) === false || isFinite(max) === false) {
+      return [from, from + wrapAngle(to - from)]
+    }
+    min = wrapAngle(min)
+    max = wrapAngle(max)
+    if (min <= max) {
+      return [THREE.MathUtils.clamp(from, min, max), THREE.MathUtils.clamp(to, min, max)]
+    }
+    // 許される範囲が ±π をまたぐ場合は、min から max + 2π の連続した範囲に直す
+    const unwrap = (angle) => {
+      const clamped = angle > (min + max) / 2 ? Math.max(min, angle) : Math.min(max, angle)
+      return clamped < min ? clamped + Math.PI * 2.0 : clamped
+    }
+    return [unwrap(from), unwrap(to)]
+  }
+
+  /**
+   * 移動中であれば、経過時間に応じてカメラを動かす
+   * bindKeys を呼んでいれば、数字キーの操作もここで調べる
+   * @param {number} delta - 前のフレームからの経過時間（秒）
+   */
+  update (delta) {
+    if (this.input !== null) {
+      this.updateKeys()
+    }
+    if (this.transition === null) {
+      return
+    }
+    const transition = this.transition
+    transition.elapsed += delta
+    const t = transition.duration > 0 ? Math.min(transition.elapsed / transition.duration, 1.0) : 1.0
+    // 動き始めと止まる直前がゆっくりになるように補間する（easeInOutCubic）
+    const eased = t < 0.5 ? 4.0 * t * t * t : 1.0 - Math.pow(-2.0 * t + 2.0, 3) / 2.0
+    const { from, to } = transition
+    const lerp = THREE.MathUtils.lerp
+
+    const spherical = new THREE.Spherical(
+      lerp(from.spherical.radius, to.spherical.radius, eased),
+      lerp(from.spherical.phi, to.spherical.phi, eased),
+      lerp(from.spherical.theta, to.spherical.theta, eased),
+    )
+    this.controls.target.lerpVectors(from.target, to.target, eased)
+    this.camera.position.setFromSpherical(spherical).applyQuaternion(this.quaternionInverse).add(this.controls.target)
+    this.camera.lookAt(this.controls.target)
+
+    this.camera.zoom = lerp(from.zoom, to.zoom, eased)
+    if (this.camera.isPerspectiveCamera === true && from.fov !== null && to.fov !== null) {
+      this.camera.fov = lerp(from.fov, to.fov, eased)
+    }
+    this.camera.updateProjectionMatrix()
+
+    if (t >= 1.0) {
+      this.transition = null
+    }
+  }
+
+  /**
+   * 数字キーに視点を割り当てる
+   * 1 〜 9 でその番号の視点に移動し、Shift を押しながらなら現在の視点をその番号で保存する
+   * キーボードの配列によらないように KeyboardEvent.code で判定する
+   * @param {Input} input - App3 の Input
+   */
+  bindKeys (input) {
+    const bindings = {
+      bookmarkSave: ['code:ShiftLeft', 'code:ShiftRight'],
+    }
+    for (let i = 1; i <= 9; ++i) {
+      bindings[`bookmark${i}`] = [`code:Digit${i}`, `code:Numpad${i}`]
+    }
+    input.bindAll(bindings)
+    this.input = input
+  }
+
+  /**
+   * 数字キーの操作を調べる
+   */
+  updateKeys () {
+    for (let i = 1; i <= 9; ++i) {
+      if (this.input.pressed(`bookmark${i}`) === false) {
+        continue
+      }
+      const name = String(i)
+      if (this.input.held('bookmarkSave') === true) {
+        this.save(name)
+      } else if (this.bookmarks.has(name) === true) {
+        this.go(name)
+      }
+    }
+  }
+
+  /**
+   * 保存されている視点を JSON に書き出せるオブジェクトにする
+   * @return {Object<string, object>}
+   */
+  toJSON () {
+    const json = {}
+    this.bookmarks.forEach((bookmark, name) => {
+      json[name] = bookmark
+    })
+    return json
+  }
+
+  /**
+   * JSON から視点を読み込む（同じ名前の視点は上書きする）
+   * @param {Object<string, object>|string} json - toJSON の戻り値、またはその文字列
+   */
+  fromJSON (json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json
+    Object.keys(data).forEach((name) => {
+      const bookmark = data[name]
+      if (Array.isArray(bookmark.target) === false || Array.isArray(bookmark.position) === false) {
+        throw new Error(`CameraBookmarks: bookmark "${name}" needs target and position arrays.`)
+      }
+      this.bookmarks.set(name, {
+        target: bookmark.target.slice(0, 3),
+        position: bookmark.position.slice(0, 3),
+        zoom: bookmark.zoom !== undefined ? bookmark.zoom : 1.0,
+        fov: bookmark.fov !== undefined ? bookmark.fov : null,
+      })
+    })
+    this.store()
+  }
+
+  /**
+   * localStorage に保存する（storageKey を指定した場合のみ）
+   */
+  store () {
+    if (this.options.storageKey === null || typeof localStorage === 'undefined') {
+      return
+    }
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(this.toJSON()))
+    } catch (error) {
+      // プライベートブラウズや容量の上限で保存できなくても、メモリ上の視点は使える
+      console.warn(`CameraBookmarks: failed to save bookmarks. ${error.message}`)
+    }
+  }
+
+  /**
+   * localStorage から読み込む（storageKey を指定した場合のみ）
+   */
+  load () {
+    if (this.options.storageKey === null || typeof localStorage === 'undefined') {
+      return
+    }
+    const json = localStorage.getItem(this.options.storageKey)
+    if (json === null) {
+      return
+    }
+    try {
+      this.fromJSON(json)
+    } catch (error) {
+      console.warn(`CameraBookmarks: ignored invalid saved bookmarks. ${error.message}`)
+    }
+  }
+
+  /**
+   * イベントリスナーを取り除く
+   */
+  dispose () {
+    this.controls.removeEventListener('start', this.handleStart)
+  }
+}
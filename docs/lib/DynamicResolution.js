@@ -0,0 +1,101 @@
+/**
+ * Lowers the resolution of an EffectComposer while frames take longer than a
+ * budget, and raises it again once there is headroom. Call update() once per
+ * frame with the frame time, before composer.render().
+ *
+ * Frame times are averaged over sampleCount frames so a single hitch doesn't
+ * change the scale, and every change reallocates the composer's targets, so
+ * the scale moves in steps. With vsync the frame time rarely drops below the
+ * budget, so raising the scale only needs the average to stay within it for
+ * recoverCount windows in a row.
+ */
+class DynamicResolution {
+
+	/**
+	 * @param {EffectComposer} composer
+	 * @param {Object} [options]
+	 * @param {number} [options.budget=1/60] - frame time in seconds
+	 * @param {number} [options.minScale=0.5]
+	 * @param {number} [options.maxScale=1]
+	 * @param {number} [options.step=0.125]
+	 * @param {number} [options.sampleCount=30] - frames averaged per decision
+	 * @param {number} [options.recoverCount=4] - good windows before the scale goes up
+	 */
+	constructor( composer, options = {} ) {
+
+		this.composer = composer;
+
+		this.budget = options.budget !== undefined ? options.budget : 1 / 60;
+		this.minScale = options.minScale !== undefined ? options.minScale : 0.5;
+		this.maxScale = options.maxScale !== undefined ? options.maxScale : 1;
+		this.step = options.step !== undefined ? options.step : 0.125;
+		this.sampleCount = options.sampleCount !== undefined ? options.sampleCount : 30;
+		this.recoverCount = options.recoverCount !== undefined ? options.recoverCount : 4;
+
+		this.enabled = true;
+
+		this._total = 0;
+		this._frames = 0;
+		this._goodWindows = 0;
+
+	}
+
+	get scale() {
+
+		return this.composer.getResolutionScale();
+
+	}
+
+	/**
+	 * @param {number} deltaTime - seconds since the last frame
+	 */
+	update( deltaTime ) {
+
+		if ( this.enabled === false ) return;
+
+		this._total += deltaTime;
+		this._frames ++;
+
+		if ( this._frames < this.sampleCount ) return;
+
+		const average = this._total / this._frames;
+		this._total = 0;
+		this._frames = 0;
+
+		let scale = this.composer.getResolutionScale();
+
+		// 10% slack keeps timer jitter from counting as a slow frame
+
+		if ( average > this.budget * 1.1 ) {
+
+			scale = Math.max( this.minScale, scale - this.step );
+			this._goodWindows = 0;
+
+		} else if ( ++ this._goodWindows >= this.recoverCount ) {
+
+			scale = Math.min( this.maxScale, scale + this.step );
+			this._goodWindows = 0;
+
+		}
+
+		this.composer.setResolutionScale( scale );
+
+	}
+
+	/**
+	 * Goes back to maxScale and forgets the measured frames, e.g. after the tab
+	 * was hidden and the frame times are meaningless.
+	 */
+	reset() {
+
+		this._total = 0;
+		this._frames = 0;
+		this._goodWindows = 0;
+
+		this.composer.setResolutionScale( this.maxScale );
+
+	}
+
+}
+
+export { DynamicResolution };
@@ -1,5 +1,8 @@
 import {
 	Clock,
+	FloatType,
+	HalfFloatType,
+	UnsignedByteType,
 	Vector2,
 	WebGLRenderTarget
 } from './three.module.js';
@@ -7,13 +10,64 @@ import { CopyShader } from './CopyShader.js';
 import { ShaderPass } from './ShaderPass.js';
 import { MaskPass } from './MaskPass.js';
 import { ClearMaskPass } from './MaskPass.js';
-
+import { FullScreenQuad } from './Pass.js';
+
+// composers that own each pass; a pass added to several composers is disposed by the last one
+
+const _owners = new WeakMap();
+
+/**
+ * Runs post-processing passes in the order they were added, ping-ponging between
+ * two render targets. Passing an output name to addPass() switches to graph
+ * mode, where passes read and write named resources instead:
+ *
+ *   composer.addPass( renderPass, { output: 'scene' } );
+ *   composer.addPass( blurPass, { inputs: { tDiffuse: 'scene' }, output: 'blurred' } );
+ *   composer.addPass( bloomPass, { inputs: { tDiffuse: 'blurred', tScene: 'scene' }, output: 'bloom' } );
+ *
+ * Inputs map uniform names to resources. The input bound to the pass's textureID
+ * (or 'tDiffuse', or the first one) becomes readBuffer, so existing passes work
+ * unchanged. The composer sorts the passes by their dependencies, shares render
+ * targets from a pool once a resource is no longer read, and presents graphOutput
+ * (by default the output of the last added pass). Mask passes need the linear mode.
+ *
+ * The second argument may be an options object instead of a render target.
+ * { type: HalfFloatType } keeps lighting above 1.0 through the effects; finish
+ * with a ToneMappingPass to bring it back to display range. { samples: 4 } renders
+ * scenes into multisampled targets, which WebGL resolves before the next pass
+ * reads them, so the antialiasing of the default framebuffer isn't lost.
+ *
+ * A pass with resolutionScale below 1 renders into a smaller target, and its
+ * result is scaled back up for the next pass. setResolutionScale() shrinks all
+ * internal targets at once, see DynamicResolution.
+ *
+ * The composer owns the passes added to it unless they are added with
+ * { owned: false }, and disposes them in dispose() or removePass( pass, { dispose: true } ).
+ * With { development: true } it warns about GPU resources a pass's dispose() left
+ * behind, and about passes it doesn't own that are still attached when it is disposed.
+ */
 class EffectComposer {
 
+	/**
+	 * @param {WebGLRenderer} renderer
+	 * @param {WebGLRenderTarget|Object} [renderTarget] - or options
+	 * @param {number} [renderTarget.type=UnsignedByteType] - UnsignedByteType, HalfFloatType or FloatType
+	 * @param {number} [renderTarget.samples=0] - MSAA samples, ignored on WebGL 1
+	 * @param {boolean} [renderTarget.development=false] - report leaked resources
+	 */
 	constructor( renderer, renderTarget ) {
 
 		this.renderer = renderer;
 
+		let options = {};
+
+		if ( renderTarget !== undefined && renderTarget.isWebGLRenderTarget !== true ) {
+
+			options = renderTarget;
+			renderTarget = undefined;
+
+		}
+
 		if ( renderTarget === undefined ) {
 
 			const size = renderer.getSize( new Vector2() );
@@ -21,7 +75,10 @@ class EffectComposer {
 			this._width = size.width;
 			this._height = size.height;
 
-			renderTarget = new WebGLRenderTarget( this._width * this._pixelRatio, this._height * this._pixelRatio );
+			this.type = this._getSupportedType( options.type !== undefined ? options.type : UnsignedByteType );
+			this.samples = this._getSupportedSamples( options.samples !== undefined ? options.samples : 0 );
+
+			renderTarget = new WebGLRenderTarget( this._width * this._pixelRatio, this._height * this._pixelRatio, { type: this.type } );
 			renderTarget.texture.name = 'EffectComposer.rt1';
 
 		} else {
@@ -30,6 +87,11 @@ class EffectComposer {
 			this._width = renderTarget.width;
 			this._height = renderTarget.height;
 
+			this.type = renderTarget.texture.type;
+			this.samples = renderTarget.samples;
+
+			renderTarget = this._getSingleSampled( renderTarget );
+
 		}
 
 		this.renderTarget1 = renderTarget;
@@ -41,14 +103,83 @@ class EffectComposer {
 
 		this.renderToScreen = true;
 
+		this.development = options.development === true;
+
 		this.passes = [];
 
+		// graph mode: passes added with a node description read and write named
+		// render targets instead of ping-ponging between renderTarget1 and renderTarget2
+
+		this.nodes = new Map();
+		this._graphOutput = null;
+
+		// result of compileGraph(), kept until the passes or graphOutput change
+
+		this._compiledGraph = null;
+
+		this._targetPool = [];
+
+		// scale of every internal target, and the pass scales their setSize() was last called with
+
+		this._resolutionScale = 1;
+		this._passScales = new Map();
+
 		this.copyPass = new ShaderPass( CopyShader );
 
 		this.clock = new Clock();
 
 	}
 
+	// Falls back to a type the device can render to: FloatType -> HalfFloatType -> UnsignedByteType.
+
+	_getSupportedType( type ) {
+
+		const isWebGL2 = this.renderer.capabilities.isWebGL2;
+		const extensions = this.renderer.extensions;
+
+		if ( type === FloatType ) {
+
+			const renderable = isWebGL2 ?
+				extensions.has( 'EXT_color_buffer_float' ) :
+				extensions.has( 'OES_texture_float' ) && extensions.has( 'WEBGL_color_buffer_float' );
+
+			if ( renderable ) return FloatType;
+
+			console.warn( 'THREE.EffectComposer: FloatType render targets are not supported, trying HalfFloatType.' );
+			type = HalfFloatType;
+
+		}
+
+		if ( type === HalfFloatType ) {
+
+			const renderable = isWebGL2 ?
+				extensions.has( 'EXT_color_buffer_float' ) || extensions.has( 'EXT_color_buffer_half_float' ) :
+				extensions.has( 'OES_texture_half_float' ) && extensions.has( 'EXT_color_buffer_half_float' );
+
+			if ( renderable ) return HalfFloatType;
+
+			console.warn( 'THREE.EffectComposer: HalfFloatType render targets are not supported, using UnsignedByteType.' );
+			type = UnsignedByteType;
+
+		}
+
+		return type;
+
+	}
+
+	_getSupportedSamples( samples ) {
+
+		if ( samples > 0 && this.renderer.capabilities.isWebGL2 === false ) {
+
+			console.warn( 'THREE.EffectComposer: Multisampled render targets need WebGL 2, rendering without antialiasing.' );
+			return 0;
+
+		}
+
+		return Math.min( samples, this.renderer.capabilities.maxSamples );
+
+	}
+
 	swapBuffers() {
 
 		const tmp = this.readBuffer;
@@ -57,32 +188,145 @@ class EffectComposer {
 
 	}
 
-	addPass( pass ) {
+	/**
+	 * @param {Pass} pass
+	 * @param {Object} [options]
+	 * @param {boolean} [options.owned=true] - false if the caller disposes the pass itself
+	 * @param {string} [options.output] - resource name the pass writes, switches the composer to graph mode
+	 * @param {Object<string, string>} [options.inputs] - uniform name -> resource name
+	 * @param {string} [options.name] - used in error messages, defaults to the class name
+	 */
+	addPass( pass, options ) {
 
 		this.passes.push( pass );
-		pass.setSize( this._width * this._pixelRatio, this._height * this._pixelRatio );
+		this._addPass( pass, options );
 
 	}
 
-	insertPass( pass, index ) {
+	insertPass( pass, index, options ) {
 
 		this.passes.splice( index, 0, pass );
-		pass.setSize( this._width * this._pixelRatio, this._height * this._pixelRatio );
+		this._addPass( pass, options );
+
+	}
+
+	_addPass( pass, options = {} ) {
+
+		this._compiledGraph = null;
+
+		this._setNode( pass, options );
+		this._setPassSize( pass );
+
+		if ( options.owned !== false ) {
+
+			if ( _owners.has( pass ) === false ) _owners.set( pass, new Set() );
+
+			_owners.get( pass ).add( this );
+
+		}
 
 	}
 
-	removePass( pass ) {
+	owns( pass ) {
+
+		return _owners.has( pass ) && _owners.get( pass ).has( this );
+
+	}
+
+	/**
+	 * @param {Pass} pass
+	 * @param {Object} [options]
+	 * @param {boolean} [options.dispose=false] - dispose the pass if this composer owns it and no other composer does
+	 */
+	removePass( pass, options = {} ) {
 
 		const index = this.passes.indexOf( pass );
 
 		if ( index !== - 1 ) {
 
 			this.passes.splice( index, 1 );
+			this.nodes.delete( pass );
+			this._passScales.delete( pass );
+			this._compiledGraph = null;
+
+			const owners = _owners.get( pass );
+			const owned = owners !== undefined && owners.delete( this );
+
+			if ( options.dispose === true ) {
+
+				if ( owned === false ) {
+
+					console.warn( `THREE.EffectComposer: ${ pass.constructor.name } is not owned by this composer and was not disposed.` );
+
+				} else if ( owners.size > 0 ) {
+
+					console.warn( `THREE.EffectComposer: ${ pass.constructor.name } is still owned by another composer and was not disposed.` );
+
+				} else {
+
+					this._disposePass( pass );
+
+				}
+
+			}
 
 		}
 
 	}
 
+	_setNode( pass, options ) {
+
+		if ( options.output === undefined && options.inputs === undefined ) return;
+
+		if ( typeof options.output !== 'string' ) {
+
+			throw new Error( 'THREE.EffectComposer: A graph node needs an output name.' );
+
+		}
+
+		this.nodes.set( pass, {
+			name: options.name !== undefined ? options.name : pass.constructor.name,
+			inputs: Object.assign( {}, options.inputs ),
+			output: options.output
+		} );
+
+	}
+
+	_getPassScale( pass ) {
+
+		return pass.resolutionScale !== undefined ? pass.resolutionScale : 1;
+
+	}
+
+	_getTargetSize( scale ) {
+
+		scale *= this._resolutionScale;
+
+		return {
+			width: Math.max( 1, Math.round( this._width * this._pixelRatio * scale ) ),
+			height: Math.max( 1, Math.round( this._height * this._pixelRatio * scale ) )
+		};
+
+	}
+
+	_setPassSize( pass ) {
+
+		const scale = this._getPassScale( pass );
+		const size = this._getTargetSize( scale );
+
+		pass.setSize( size.width, size.height );
+		this._passScales.set( pass, scale );
+
+	}
+
+	// resolutionScale may change between frames
+
+	_updatePassSize( pass ) {
+
+		if ( this._passScales.get( pass ) !== this._getPassScale( pass ) ) this._setPassSize( pass );
+
+	}
+
 	isLastEnabledPass( passIndex ) {
 
 		for ( let i = passIndex + 1; i < this.passes.length; i ++ ) {
@@ -111,6 +355,14 @@ class EffectComposer {
 
 		const currentRenderTarget = this.renderer.getRenderTarget();
 
+		if ( this.nodes.size > 0 ) {
+
+			this._renderGraph( deltaTime );
+			this.renderer.setRenderTarget( currentRenderTarget );
+			return;
+
+		}
+
 		let maskActive = false;
 
 		for ( let i = 0, il = this.passes.length; i < il; i ++ ) {
@@ -119,8 +371,19 @@ class EffectComposer {
 
 			if ( pass.enabled === false ) continue;
 
+			this._updatePassSize( pass );
+
 			pass.renderToScreen = ( this.renderToScreen && this.isLastEnabledPass( i ) );
-			pass.render( this.renderer, this.writeBuffer, this.readBuffer, deltaTime, maskActive );
+
+			if ( this._getPassScale( pass ) !== 1 || this._needsMultisampling( pass, maskActive ) ) {
+
+				this._renderScaled( pass, deltaTime, maskActive );
+
+			} else {
+
+				pass.render( this.renderer, this.writeBuffer, this.readBuffer, deltaTime, maskActive );
+
+			}
 
 			if ( pass.needsSwap ) {
 
@@ -163,6 +426,383 @@ class EffectComposer {
 
 	}
 
+	// The ping-pong targets are never multisampled, so passes that draw into readBuffer
+	// (like RenderPass) go through a multisampled pool target instead, as in graph mode.
+	// Mask passes write the stencil of the ping-pong targets and have to stay on them.
+
+	_needsMultisampling( pass, maskActive ) {
+
+		if ( this.samples === 0 || pass.needsSwap || maskActive ) return false;
+
+		return MaskPass === undefined || ( pass instanceof MaskPass === false && pass instanceof ClearMaskPass === false );
+
+	}
+
+	// Renders a pass into a pool target of its own size and samples, then copies the result
+	// (scaled up if needed) to where the pass would have written it.
+
+	_renderScaled( pass, deltaTime, maskActive ) {
+
+		const renderer = this.renderer;
+		const renderToScreen = pass.renderToScreen;
+		const target = this._acquireTarget( pass.needsSwap ? 0 : this.samples, this._getPassScale( pass ) );
+
+		pass.renderToScreen = false;
+
+		if ( pass.needsSwap ) {
+
+			pass.render( renderer, target, this.readBuffer, deltaTime, maskActive );
+
+		} else {
+
+			this.copyPass.render( renderer, target, this.readBuffer, deltaTime );
+			pass.render( renderer, target, target, deltaTime, maskActive );
+
+		}
+
+		this.copyPass.renderToScreen = renderToScreen;
+		this.copyPass.render( renderer, pass.needsSwap ? this.writeBuffer : this.readBuffer, target, deltaTime );
+		this.copyPass.renderToScreen = false;
+
+		pass.renderToScreen = renderToScreen;
+		this._releaseTarget( target );
+
+	}
+
+	// Resource presented in graph mode, null for the output of the last added pass.
+
+	get graphOutput() {
+
+		return this._graphOutput;
+
+	}
+
+	set graphOutput( value ) {
+
+		if ( value !== this._graphOutput ) this._compiledGraph = null;
+
+		this._graphOutput = value;
+
+	}
+
+	// Resolves the graph into the passes that contribute to the output, in dependency order.
+	// Passes are added in any order; ties keep the order of this.passes. The result is cached
+	// until a pass is added or removed or graphOutput changes.
+
+	compileGraph() {
+
+		if ( this._compiledGraph !== null ) return this._compiledGraph;
+
+		const producers = new Map();
+
+		for ( const pass of this.passes ) {
+
+			const node = this.nodes.get( pass );
+
+			if ( node === undefined ) {
+
+				throw new Error( `THREE.EffectComposer: ${ pass.constructor.name } was added without a graph node, but the composer is in graph mode.` );
+
+			}
+
+			if ( producers.has( node.output ) ) {
+
+				throw new Error( `THREE.EffectComposer: "${ node.name }" and "${ this.nodes.get( producers.get( node.output ) ).name }" both write "${ node.output }".` );
+
+			}
+
+			producers.set( node.output, pass );
+
+		}
+
+		const dependencies = new Map();
+
+		for ( const pass of this.passes ) {
+
+			const node = this.nodes.get( pass );
+			const inputs = Object.values( node.inputs );
+
+			for ( const resource of inputs ) {
+
+				if ( producers.has( resource ) === false ) {
+
+					throw new Error( `THREE.EffectComposer: "${ node.name }" reads "${ resource }", which no pass writes.` );
+
+				}
+
+			}
+
+			if ( inputs.length === 0 && pass.needsSwap ) {
+
+				throw new Error( `THREE.EffectComposer: "${ node.name }" reads from readBuffer, so it needs at least one input.` );
+
+			}
+
+			dependencies.set( pass, new Set( inputs.map( ( resource ) => producers.get( resource ) ) ) );
+
+		}
+
+		// Kahn's algorithm
+
+		const order = [];
+		const ordered = new Set();
+		const pending = this.passes.slice();
+
+		while ( pending.length > 0 ) {
+
+			const index = pending.findIndex( ( pass ) => {
+
+				for ( const dependency of dependencies.get( pass ) ) {
+
+					if ( ordered.has( dependency ) === false ) return false;
+
+				}
+
+				return true;
+
+			} );
+
+			if ( index === - 1 ) {
+
+				const names = pending.map( ( pass ) => `"${ this.nodes.get( pass ).name }"` ).join( ', ' );
+				throw new Error( `THREE.EffectComposer: The graph has a cycle between ${ names }.` );
+
+			}
+
+			order.push( pending[ index ] );
+			ordered.add( pending[ index ] );
+			pending.splice( index, 1 );
+
+		}
+
+		// skip passes whose output never reaches the final output
+
+		const output = this._graphOutput !== null ? this._graphOutput : this.nodes.get( this.passes[ this.passes.length - 1 ] ).output;
+
+		if ( producers.has( output ) === false ) {
+
+			throw new Error( `THREE.EffectComposer: No pass writes the graph output "${ output }".` );
+
+		}
+
+		const needed = new Set();
+		const stack = [ producers.get( output ) ];
+
+		while ( stack.length > 0 ) {
+
+			const pass = stack.pop();
+
+			if ( needed.has( pass ) ) continue;
+
+			needed.add( pass );
+			dependencies.get( pass ).forEach( ( dependency ) => stack.push( dependency ) );
+
+		}
+
+		this._compiledGraph = { passes: order.filter( ( pass ) => needed.has( pass ) ), output: output };
+
+		return this._compiledGraph;
+
+	}
+
+	_renderGraph( deltaTime ) {
+
+		const renderer = this.renderer;
+		const { passes, output } = this.compileGraph();
+
+		// a disabled pass forwards its main input, one without inputs leaves its output empty
+
+		const targets = new Map();
+		const lastUse = new Map();
+
+		passes.forEach( ( pass, i ) => {
+
+			Object.values( this.nodes.get( pass ).inputs ).forEach( ( resource ) => lastUse.set( resource, i ) );
+
+		} );
+
+		// the output goes straight to the screen unless another pass reads it as well
+
+		const outputToScreen = this.renderToScreen && lastUse.has( output ) === false;
+
+		let presented = false;
+
+		for ( let i = 0; i < passes.length; i ++ ) {
+
+			const pass = passes[ i ];
+			const node = this.nodes.get( pass );
+			const mainInput = this._getMainInput( pass, node );
+
+			this._updatePassSize( pass );
+
+			if ( pass.enabled === false || Object.values( node.inputs ).some( ( resource ) => targets.get( resource ) === null ) ) {
+
+				targets.set( node.output, mainInput !== null && pass.enabled === false ? targets.get( mainInput ) : null );
+				this._releaseInputs( node, i, lastUse, targets, output );
+				continue;
+
+			}
+
+			for ( const name in node.inputs ) {
+
+				if ( pass.uniforms !== undefined && pass.uniforms[ name ] !== undefined ) {
+
+					pass.uniforms[ name ].value = targets.get( node.inputs[ name ] ).texture;
+
+				}
+
+			}
+
+			// only passes that draw scenes need multisampling, full-screen effects don't.
+			// readBuffer isn't multisampled, so such a pass draws into a pool target even
+			// as the output. passes reading a scaled target sample it up by themselves
+
+			const scale = this._getPassScale( pass );
+			const isOutput = node.output === output && scale === 1 && ( pass.needsSwap || this.samples === 0 );
+			const target = isOutput ? this.readBuffer : this._acquireTarget( pass.needsSwap ? 0 : this.samples, scale );
+			const readBuffer = mainInput !== null ? targets.get( mainInput ) : null;
+
+			pass.renderToScreen = isOutput && outputToScreen;
+			presented = presented || pass.renderToScreen;
+
+			if ( pass.needsSwap ) {
+
+				pass.render( renderer, target, readBuffer, deltaTime, false );
+
+			} else {
+
+				// passes like RenderPass draw over readBuffer, so start from a copy of the main input
+
+				if ( readBuffer !== null ) {
+
+					this.copyPass.renderToScreen = pass.renderToScreen;
+					this.copyPass.render( renderer, target, readBuffer, deltaTime );
+					this.copyPass.renderToScreen = false;
+
+				}
+
+				pass.render( renderer, target, target, deltaTime, false );
+
+			}
+
+			targets.set( node.output, target );
+			this._releaseInputs( node, i, lastUse, targets, output );
+
+		}
+
+		const result = targets.get( output );
+
+		if ( this.renderToScreen && presented === false && result !== null ) {
+
+			this.copyPass.renderToScreen = true;
+			this.copyPass.render( renderer, null, result, deltaTime );
+			this.copyPass.renderToScreen = false;
+
+		} else if ( result !== null && result !== this.readBuffer && this.renderToScreen === false ) {
+
+			// keep the result in readBuffer, where the linear mode leaves it as well
+
+			this.copyPass.render( renderer, this.readBuffer, result, deltaTime );
+
+		}
+
+		this._targetPool.forEach( ( entry ) => entry.inUse = false );
+
+	}
+
+	_getMainInput( pass, node ) {
+
+		const names = Object.keys( node.inputs );
+
+		if ( names.length === 0 ) return null;
+
+		const textureID = pass.textureID !== undefined ? pass.textureID : 'tDiffuse';
+
+		return node.inputs[ textureID ] !== undefined ? node.inputs[ textureID ] : node.inputs[ names[ 0 ] ];
+
+	}
+
+	_releaseInputs( node, index, lastUse, targets, output ) {
+
+		for ( const resource of Object.values( node.inputs ) ) {
+
+			if ( lastUse.get( resource ) !== index ) continue;
+
+			const target = targets.get( resource );
+
+			// the target may still be in use under another name when a disabled pass forwarded it
+
+			let shared = false;
+
+			targets.forEach( ( other, name ) => {
+
+				if ( other === target && name !== resource && ( name === output || lastUse.get( name ) > index ) ) shared = true;
+
+			} );
+
+			if ( shared === false ) this._releaseTarget( target );
+
+		}
+
+	}
+
+	_acquireTarget( samples, scale = 1 ) {
+
+		const { width, height } = this._getTargetSize( scale );
+
+		let entry = this._targetPool.find( ( entry ) => {
+
+			const target = entry.target;
+			return entry.inUse === false && target.samples === samples && target.width === width && target.height === height;
+
+		} );
+
+		if ( entry === undefined ) {
+
+			const target = this.renderTarget1.clone();
+			target.samples = samples;
+			target.setSize( width, height );
+			target.texture.name = 'EffectComposer.pool' + this._targetPool.length;
+			entry = { target: target, inUse: false };
+			this._targetPool.push( entry );
+
+		}
+
+		entry.inUse = true;
+
+		return entry.target;
+
+	}
+
+	_releaseTarget( target ) {
+
+		const entry = this._targetPool.find( ( entry ) => entry.target === target );
+
+		if ( entry !== undefined ) entry.inUse = false;
+
+	}
+
+	_disposeTargetPool() {
+
+		this._targetPool.forEach( ( entry ) => entry.target.dispose() );
+		this._targetPool = [];
+
+	}
+
+	// A multisampled target passed in only sets the samples, the ping-pong targets are
+	// copies of it without samples. The caller's target is left as it is.
+
+	_getSingleSampled( renderTarget ) {
+
+		if ( renderTarget.samples === 0 ) return renderTarget;
+
+		const target = renderTarget.clone();
+		target.samples = 0;
+
+		return target;
+
+	}
+
 	reset( renderTarget ) {
 
 		if ( renderTarget === undefined ) {
@@ -172,8 +812,18 @@ class EffectComposer {
 			this._width = size.width;
 			this._height = size.height;
 
+			const { width, height } = this._getTargetSize( 1 );
+
 			renderTarget = this.renderTarget1.clone();
-			renderTarget.setSize( this._width * this._pixelRatio, this._height * this._pixelRatio );
+			renderTarget.setSize( width, height );
+
+		} else {
+
+			// keep the antialiasing asked for in the constructor unless the new target sets its own
+
+			if ( renderTarget.samples > 0 ) this.samples = this._getSupportedSamples( renderTarget.samples );
+
+			renderTarget = this._getSingleSampled( renderTarget );
 
 		}
 
@@ -181,10 +831,13 @@ class EffectComposer {
 		this.renderTarget2.dispose();
 		this.renderTarget1 = renderTarget;
 		this.renderTarget2 = renderTarget.clone();
+		this.type = renderTarget.texture.type;
 
 		this.writeBuffer = this.renderTarget1;
 		this.readBuffer = this.renderTarget2;
 
+		this._disposeTargetPool();
+
 	}
 
 	setSize( width, height ) {
@@ -192,20 +845,45 @@ class EffectComposer {
 		this._width = width;
 		this._height = height;
 
-		const effectiveWidth = this._width * this._pixelRatio;
-		const effectiveHeight = this._height * this._pixelRatio;
+		const { width: effectiveWidth, height: effectiveHeight } = this._getTargetSize( 1 );
 
 		this.renderTarget1.setSize( effectiveWidth, effectiveHeight );
 		this.renderTarget2.setSize( effectiveWidth, effectiveHeight );
 
+		// pooled targets of the old size would never be reused
+
+		this._disposeTargetPool();
+
 		for ( let i = 0; i < this.passes.length; i ++ ) {
 
-			this.passes[ i ].setSize( effectiveWidth, effectiveHeight );
+			this._setPassSize( this.passes[ i ] );
 
 		}
 
 	}
 
+	/**
+	 * Scales every internal target, on top of the pixel ratio. The last pass still
+	 * covers the whole screen, sampling the smaller result up.
+	 *
+	 * @param {number} scale - 0 < scale <= 1
+	 */
+	setResolutionScale( scale ) {
+
+		if ( scale === this._resolutionScale ) return;
+
+		this._resolutionScale = scale;
+
+		this.setSize( this._width, this._height );
+
+	}
+
+	getResolutionScale() {
+
+		return this._resolutionScale;
+
+	}
+
 	setPixelRatio( pixelRatio ) {
 
 		this._pixelRatio = pixelRatio;
@@ -214,10 +892,96 @@ class EffectComposer {
 
 	}
 
+	// In development mode, listens for the 'dispose' event of every GPU resource the
+	// pass holds directly and reports the ones its dispose() didn't free.
+
+	_disposePass( pass ) {
+
+		if ( this.development === false ) {
+
+			pass.dispose();
+			return;
+
+		}
+
+		const resources = [];
+		const name = pass.constructor.name;
+
+		const collect = ( value, path ) => {
+
+			if ( value instanceof FullScreenQuad ) {
+
+				collect( value.material, path + '.material' );
+
+			} else if ( Array.isArray( value ) ) {
+
+				value.forEach( ( item, i ) => collect( item, `${ path }[${ i }]` ) );
+
+			} else if ( value && ( value.isMaterial || value.isBufferGeometry || value.isWebGLRenderTarget || ( value.isTexture && value.isRenderTargetTexture !== true ) ) ) {
+
+				if ( resources.some( ( resource ) => resource.value === value ) ) return;
+
+				const resource = { value: value, path: path, disposed: false };
+				resource.onDispose = () => resource.disposed = true;
+				value.addEventListener( 'dispose', resource.onDispose );
+				resources.push( resource );
+
+			}
+
+		};
+
+		for ( const key of Object.keys( pass ) ) {
+
+			collect( pass[ key ], `${ name }.${ key }` );
+
+		}
+
+		pass.dispose();
+
+		const leaked = resources.filter( ( resource ) => {
+
+			resource.value.removeEventListener( 'dispose', resource.onDispose );
+			return resource.disposed === false;
+
+		} );
+
+		if ( leaked.length > 0 ) {
+
+			const list = leaked.map( ( resource ) => `${ resource.path } (${ resource.value.constructor.name })` ).join( ', ' );
+			console.warn( `THREE.EffectComposer: ${ name }.dispose() did not free ${ list }.` );
+
+		}
+
+	}
+
 	dispose() {
 
+		for ( const pass of this.passes ) {
+
+			const owners = _owners.get( pass );
+
+			if ( owners !== undefined && owners.has( this ) ) {
+
+				owners.delete( this );
+
+				if ( owners.size === 0 ) this._disposePass( pass );
+
+			} else if ( this.development ) {
+
+				console.warn( `THREE.EffectComposer: ${ pass.constructor.name } was added with { owned: false } and still holds its resources.` );
+
+			}
+
+		}
+
+		this.passes = [];
+		this.nodes.clear();
+		this._passScales.clear();
+		this._compiledGraph = null;
+
 		this.renderTarget1.dispose();
 		this.renderTarget2.dispose();
+		this._disposeTargetPool();
 
 		this.copyPass.dispose();
 
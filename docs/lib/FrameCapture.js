@@ -0,0 +1,429 @@
+// FrameCapture ---------------------------------------------------------------
+// App3 の描画を 1 フレームずつ PNG として書き出すためのモジュールです。
+// requestAnimationFrame の描画ループを止め、固定の時間刻みの仮想的な時刻で
+// app.step() を呼び出すので、マシンの速さに関係なく毎回同じフレームが得られます。
+// 画面とは異なる解像度で描画し、canvas（または EffectComposer の最終的な描画
+// 結果）から読み出したピクセルを PNG にして、連番のファイル名を付けて返します。
+// createZip でまとめて 1 つの zip にすることもできます。
+//
+// WebGL のない環境では App3 の createRenderer をオーバーライドして
+// StandInRenderer を返すと、描画の代わりにシーンの状態から決まる色でフレームを
+// 塗りつぶすので、書き出しの処理そのものを確かめられます。
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+
+/**
+ * CRC32 の計算に使うテーブル（PNG と zip で共通）
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; ++n) {
+    let c = n
+    for (let k = 0; k < 8; ++k) {
+      c = (c & 1) !== 0 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * CRC32 を計算する
+ * @param {Uint8Array} bytes - 対象のバイト列
+ * @param {number} [crc] - 続きから計算する場合の途中の値
+ * @return {number}
+ */
+function crc32 (bytes, crc = 0) {
+  let c = crc ^ 0xffffffff
+  for (let i = 0; i < bytes.length; ++i) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  }
+  return (c ^ 0xffffffff) >>> 0
+}
+
+/**
+ * バイト列を zlib 形式で圧縮する
+ * CompressionStream が使えない環境では、圧縮しないブロックだけで zlib 形式にする
+ * @param {Uint8Array} bytes - 対象のバイト列
+ * @return {Promise<Uint8Array>}
+ */
+async function deflate (bytes) {
+  if (typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+  }
+
+  const blockCount = Math.max(1, Math.ceil(bytes.length / 0xffff))
+  const out = new Uint8Array(2 + blockCount * 5 + bytes.length + 4)
+  const view = new DataView(out.buffer)
+  out[0] = 0x78
+  out[1] = 0x01
+  let offset = 2
+  for (let i = 0; i < blockCount; ++i) {
+    const block = bytes.subarray(i * 0xffff, (i + 1) * 0xffff)
+    out[offset] = i === blockCount - 1 ? 1 : 0
+    view.setUint16(offset + 1, block.length, true)
+    view.setUint16(offset + 3, ~block.length & 0xffff, true)
+    out.set(block, offset + 5)
+    offset += 5 + block.length
+  }
+  // Adler-32
+  let a = 1
+  let b = 0
+  for (let i = 0; i < bytes.length; ++i) {
+    a = (a + bytes[i]) % 65521
+    b = (b + a) % 65521
+  }
+  view.setUint32(offset, ((b << 16) | a) >>> 0)
+  return out
+}
+
+/**
+ * RGBA のピクセルを PNG のバイト列にする
+ * @param {Uint8Array} pixels - 上の行から順に並んだ RGBA のピクセル
+ * @param {number} width - 横幅
+ * @param {number} height - 縦幅
+ * @return {Promise<Uint8Array>}
+ */
+export async function encodePNG (pixels, width, height) {
+  // 各行の先頭にフィルターの種類（0 = なし）を置く
+  const stride = width * 4
+  const raw = new Uint8Array((stride + 1) * height)
+  for (let y = 0; y < height; ++y) {
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1)
+  }
+
+  const header = new Uint8Array(13)
+  const headerView = new DataView(header.buffer)
+  headerView.setUint32(0, width)
+  headerView.setUint32(4, height)
+  header[8] = 8 // ビット深度
+  header[9] = 6 // RGBA
+
+  const chunks = [
+    ['IHDR', header],
+    ['IDAT', await deflate(raw)],
+    ['IEND', new Uint8Array(0)],
+  ]
+
+  const size = 8 + chunks.reduce((sum, [, data]) => sum + 12 + data.length, 0)
+  const png = new Uint8Array(size)
+  const view = new DataView(png.buffer)
+  png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  let offset = 8
+  chunks.forEach(([type, data]) => {
+    const typeBytes = new TextEncoder().encode(type)
+    view.setUint32(offset, data.length)
+    png.set(typeBytes, offset + 4)
+    png.set(data, offset + 8)
+    view.setUint32(offset + 8 + data.length, crc32(data, crc32(typeBytes)))
+    offset += 12 + data.length
+  })
+  return png
+}
+
+/**
+ * ファイルを圧縮せずに 1 つの zip にまとめる
+ * 更新日時は固定にしているので、同じ内容からは常に同じ zip ができる
+ * @param {Array<{name: string, data: Uint8Array}>} files - ファイル名と内容
+ * @return {Uint8Array}
+ */
+export function createZip (files) {
+  const encoder = new TextEncoder()
+  const entries = files.map((file) => {
+    return { name: encoder.encode(file.name), data: file.data, crc: crc32(file.data) }
+  })
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0)
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0)
+  const zip = new Uint8Array(localSize + centralSize + 22)
+  const view = new DataView(zip.buffer)
+
+  // DOS 形式の日時（1980-01-01 00:00）
+  const dosTime = 0
+  const dosDate = (1 << 5) | 1
+
+  let offset = 0
+  entries.forEach((e) => {
+    e.offset = offset
+    view.setUint32(offset, 0x04034b50, true)
+    view.setUint16(offset + 4, 20, true)
+    view.setUint16(offset + 6, 0, true)
+    view.setUint16(offset + 8, 0, true) // 無圧縮
+    view.setUint16(offset + 10, dosTime, true)
+    view.setUint16(offset + 12, dosDate, true)
+    view.setUint32(offset + 14, e.crc, true)
+    view.setUint32(offset + 18, e.data.length, true)
+    view.setUint32(offset + 22, e.data.length, true)
+    view.setUint16(offset + 26, e.name.length, true)
+    view.setUint16(offset + 28, 0, true)
+    zip.set(e.name, offset + 30)
+    zip.set(e.data, offset + 30 + e.name.length)
+    offset += 30 + e.name.length + e.data.length
+  })
+
+  const centralOffset = offset
+  entries.forEach((e) => {
+    view.setUint32(offset, 0x02014b50, true)
+    view.setUint16(offset + 4, 20, true)
+    view.setUint16(offset + 6, 20, true)
+    view.setUint16(offset + 8, 0, true)
+    view.setUint16(offset + 10, 0, true)
+    view.setUint16(offset + 12, dosTime, true)
+    view.setUint16(offset + 14, dosDate, true)
+    view.setUint32(offset + 16, e.crc, true)
+    view.setUint32(offset + 20, e.data.length, true)
+    view.setUint32(offset + 24, e.data.length, true)
+    view.setUint16(offset + 28, e.name.length, true)
+    view.setUint32(offset + 42, e.offset, true)
+    zip.set(e.name, offset + 46)
+    offset += 46 + e.name.length
+  })
+
+  view.setUint32(offset, 0x06054b50, true)
+  view.setUint16(offset + 8, entries.length, true)
+  view.setUint16(offset + 10, entries.length, true)
+  view.setUint32(offset + 12, centralSize, true)
+  view.setUint32(offset + 16, centralOffset, true)
+  return zip
+}
+
+/**
+ * WebGL を使わずに書き出しを試すための、WebGLRenderer の代わりのレンダラー
+ * 描画の代わりに、シーンに含まれるオブジェクトの行列から決まる色で全体を塗る
+ * ので、同じ状態からは同じピクセルが、異なる状態からは異なるピクセルが得られる
+ */
+export class StandInRenderer {
+  constructor () {
+    this.width = 1
+    this.height = 1
+    this.pixelRatio = 1
+    this.color = [0, 0, 0, 255]
+    this.renderCount = 0
+    this.clearColor = new THREE.Color(0x000000)
+    this.clearAlpha = 1
+    // Input、Picker、OrbitControls がイベントリスナーを登録できるようにする
+    this.domElement = Object.assign(new EventTarget(), { style: {}, clientWidth: 1, clientHeight: 1 })
+    this.domElement.getBoundingClientRect = () => {
+      return { left: 0, top: 0, width: this.width, height: this.height }
+    }
+  }
+
+  setClearColor (color, alpha = 1) {
+    this.clearColor.set(color)
+    this.clearAlpha = alpha
+  }
+
+  getClearColor (target) {
+    return target.copy(this.clearColor)
+  }
+
+  setPixelRatio (pixelRatio) {
+    this.pixelRatio = pixelRatio
+  }
+
+  getPixelRatio () {
+    return this.pixelRatio
+  }
+
+  setSize (width, height) {
+    this.width = width
+    this.height = height
+  }
+
+  getSize (target) {
+    return target.set(this.width, this.height)
+  }
+
+  getDrawingBufferSize (target) {
+    return target.set(Math.floor(this.width * this.pixelRatio), Math.floor(this.height * this.pixelRatio))
+  }
+
+  setRenderTarget () {}
+
+  render (scene, camera) {
+    // 行列の要素から簡単なハッシュを作り、それを色にする
+    scene.updateMatrixWorld()
+    camera.updateMatrixWorld()
+    let hash = 2166136261
+    const mix = (object) => {
+      object.matrixWorld.elements.forEach((v) => {
+        hash = Math.imul(hash ^ Math.round(v * 1e4), 16777619)
+      })
+    }
+    scene.traverse(mix)
+    mix(camera)
+    this.color = [hash & 0xff, (hash >>> 8) & 0xff, (hash >>> 16) & 0xff, 255]
+    this.renderCount++
+  }
+
+  readPixels (x, y, width, height, buffer) {
+    for (let i = 0; i < width * height; ++i) {
+      buffer.set(this.color, i * 4)
+    }
+  }
+
+  readRenderTargetPixels (renderTarget, x, y, width, height, buffer) {
+    this.readPixels(x, y, width, height, buffer)
+  }
+
+  dispose () {}
+}
+
+/**
+ * 既定の書き出しのオプション
+ */
+const DEFAULT_OPTIONS = {
+  fps: 60,          // 1 秒あたりのフレーム数
+  width: 1280,      // 書き出す横幅（CSS ピクセル）
+  height: 720,      // 書き出す縦幅（CSS ピクセル）
+  pixelRatio: 1,    // ピクセル比
+  composer: null,   // 最終的な描画結果を読み出す EffectComposer
+  prefix: 'frame_', // ファイル名の先頭
+}
+
+/**
+ * App3 のフレームを仮想的な時刻で進めながら PNG として書き出すクラス
+ */
+export class FrameCapture {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {App3} app - init 済みの App3 のインスタンス
+   * @param {object} [options] - DEFAULT_OPTIONS を参照
+   */
+  constructor (app, options = {}) {
+    this.app = app
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+  }
+
+  /**
+   * 指定したフレーム数を書き出す
+   * 書き出しの間は描画ループを止め、終わったら元の大きさに戻して再開する
+   * @param {number} frameCount - 書き出すフレーム数
+   * @param {function(number, number): void} [onProgress] - 書き出したフレーム数と全体のフレーム数を受け取る関数
+   * @return {Promise<Array<{name: string, blob: Blob, data: Uint8Array}>>} 連番のファイル名と PNG
+   */
+  async capture (frameCount, onProgress = () => {}) {
+    const app = this.app
+    const { fps, width, height, pixelRatio, composer, prefix } = this.options
+    const renderer = app.renderer
+    const digits = Math.max(4, String(frameCount - 1).length)
+    const frames = []
+
+    const wasRunning = app.isRunning
+    app.stop()
+    app.isCapturing = true
+
+    // 書き出す解像度に合わせる（canvas の見た目の大きさは変えない）
+    renderer.setPixelRatio(pixelRatio)
+    renderer.setSize(width, height, false)
+    app.camera.aspect = width / height
+    app.camera.updateProjectionMatrix()
+    const composers = app.composers || []
+    composers.forEach((c) => {
+      c.setPixelRatio(pixelRatio)
+      c.setSize(width, height)
+    })
+
+    // コンポーザーの結果は画面ではなく readBuffer に残るようにする
+    const renderToScreen = composer != null ? composer.renderToScreen : null
+    if (composer != null) {
+      composer.renderToScreen = false
+    }
+
+    app.clock.reset()
+
+    try {
+      for (let i = 0; i < frameCount; ++i) {
+        // 実際の時刻ではなく、フレーム番号から決まる時刻で進める
+        app.step((i * 1000) / fps)
+
+        const pixels = this.readPixels(renderer, composer)
+        const data = await encodePNG(pixels.data, pixels.width, pixels.height)
+        frames.push({
+          name: `${prefix}${String(i).padStart(digits, '0')}.png`,
+          blob: new Blob([data], { type: 'image/png' }),
+          data: data,
+        })
+        onProgress(i + 1, frameCount)
+      }
+    } finally {
+      if (composer != null) {
+        composer.renderToScreen = renderToScreen
+      }
+      app.isCapturing = false
+      if (typeof app.resize === 'function') {
+        app.resize()
+      }
+      if (wasRunning === true) {
+        app.start()
+      }
+    }
+
+    return frames
+  }
+
+  /**
+   * 指定したフレーム数を書き出して 1 つの zip にまとめる
+   * @param {number} frameCount - 書き出すフレーム数
+   * @param {function(number, number): void} [onProgress] - 進み具合を受け取る関数
+   * @return {Promise<Blob>}
+   */
+  async captureZip (frameCount, onProgress) {
+    const frames = await this.capture(frameCount, onProgress)
+    return new Blob([createZip(frames)], { type: 'application/zip' })
+  }
+
+  /**
+   * 直前に描画した結果を RGBA のピクセルとして読み出す
+   * WebGL は下の行から読み出すので、上の行から並ぶように入れ替える
+   * @param {THREE.WebGLRenderer|StandInRenderer} renderer - レンダラー
+   * @param {EffectComposer} [composer] - 読み出す EffectComposer
+   * @return {{data: Uint8Array, width: number, height: number}}
+   */
+  readPixels (renderer, composer) {
+    let width
+    let height
+    let buffer
+    if (composer != null) {
+      const target = composer.readBuffer
+      width = target.width
+      height = target.height
+      buffer = new Uint8Array(width * height * 4)
+      const type = target.texture.type
+      if (type === THREE.HalfFloatType || type === THREE.FloatType) {
+        // HDR のコンポーザーは浮動小数点のまま読み出してから 8 bit に直す
+        // 最後に ToneMappingPass を通していれば 0 〜 1 に収まっている
+        const floats = type === THREE.FloatType ? new Float32Array(buffer.length) : new Uint16Array(buffer.length)
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, floats)
+        for (let i = 0; i < buffer.length; ++i) {
+          const value = type === THREE.FloatType ? floats[i] : THREE.DataUtils.fromHalfFloat(floats[i])
+          buffer[i] = Math.round(THREE.MathUtils.clamp(value, 0.0, 1.0) * 255)
+        }
+      } else {
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, buffer)
+      }
+    } else {
+      const size = renderer.getDrawingBufferSize(new THREE.Vector2())
+      width = size.x
+      height = size.y
+      buffer = new Uint8Array(width * height * 4)
+      if (typeof renderer.readPixels === 'function') {
+        renderer.readPixels(0, 0, width, height, buffer)
+      } else {
+        // 描画した直後の同じタスクの中なら、既定のフレームバッファを読み出せる
+        renderer.setRenderTarget(null)
+        const gl = renderer.getContext()
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, buffer)
+      }
+    }
+
+    const stride = width * 4
+    const flipped = new Uint8Array(buffer.length)
+    for (let y = 0; y < height; ++y) {
+      flipped.set(buffer.subarray(y * stride, (y + 1) * stride), (height - 1 - y) * stride)
+    }
+    return { data: flipped, width, height }
+  }
+}
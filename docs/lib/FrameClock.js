@@ -0,0 +1,95 @@
+// FrameClock -----------------------------------------------------------------
+// 描画ループに経過時間を供給するためのクロックです。
+// requestAnimationFrame が呼び出される間隔はディスプレイのリフレッシュレートに
+// よって変わるので、「1 フレームあたり」ではなく「1 秒あたり」の量で動きを書け
+// るように、前のフレームからの経過時間（delta）を秒で返します。
+//
+// - 一時停止と再開、時間の速さ（timeScale）を変えることができます
+// - fixedStep を指定すると、固定の時間刻みで何回更新すればよいか（steps）と、
+//   刻みの途中のどこにいるか（alpha）を計算します。描画の際に前後の状態を
+//   alpha で補間すれば、更新の頻度に関係なく滑らかに見えます
+// ----------------------------------------------------------------------------
+
+/**
+ * フレームごとの経過時間を管理するクラス
+ */
+export class FrameClock {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {object} [options]
+   * @param {number} [options.fixedStep=null] - 固定の時間刻み（秒）、null なら使わない
+   * @param {number} [options.maxDelta=0.25] - 1 フレームで進める時間の上限（秒）、タブが非表示だった後などに大きく飛ばないようにする
+   * @param {number} [options.timeScale=1.0] - 時間の速さ
+   * @param {function(): number} [options.now] - 現在時刻をミリ秒で返す関数
+   */
+  constructor (options = {}) {
+    this.fixedStep = options.fixedStep != null ? options.fixedStep : null
+    this.maxDelta = options.maxDelta !== undefined ? options.maxDelta : 0.25
+    this.timeScale = options.timeScale !== undefined ? options.timeScale : 1.0
+    this.now = options.now !== undefined ? options.now : () => performance.now()
+
+    this.delta = 0       // 前のフレームからの経過時間（秒）
+    this.elapsed = 0     // 時間の速さを反映した累計の経過時間（秒）
+    this.steps = 0       // このフレームで行う固定刻みの更新の回数
+    this.alpha = 0       // 固定刻みの途中の位置（0 〜 1）
+    this.accumulator = 0 // 固定刻みに満たずに持ち越している時間（秒）
+    this.isPaused = false
+
+    this.lastTime = null // 前のフレームの時刻（ミリ秒）
+  }
+
+  /**
+   * 時間を 1 フレーム分進める（毎フレーム 1 度だけ呼び出す）
+   * @param {number} [time] - 現在時刻（ミリ秒）、requestAnimationFrame の引数をそのまま渡せる
+   * @return {number} 前のフレームからの経過時間（秒）
+   */
+  tick (time = this.now()) {
+    // 最初のフレームと一時停止中は時間を進めない
+    let delta = 0
+    if (this.lastTime !== null && this.isPaused === false) {
+      delta = Math.min(Math.max((time - this.lastTime) / 1000, 0), this.maxDelta) * this.timeScale
+    }
+    this.lastTime = time
+
+    this.delta = delta
+    this.elapsed += delta
+
+    if (this.fixedStep !== null) {
+      this.accumulator += delta
+      this.steps = Math.floor(this.accumulator / this.fixedStep)
+      this.accumulator -= this.steps * this.fixedStep
+      this.alpha = this.accumulator / this.fixedStep
+    }
+
+    return delta
+  }
+
+  /**
+   * 一時停止する
+   */
+  pause () {
+    this.isPaused = true
+  }
+
+  /**
+   * 一時停止を解除する
+   * 停止していた間の時間はなかったことにする
+   */
+  resume () {
+    this.isPaused = false
+    this.lastTime = null
+  }
+
+  /**
+   * 経過時間を最初の状態に戻す
+   */
+  reset () {
+    this.delta = 0
+    this.elapsed = 0
+    this.steps = 0
+    this.alpha = 0
+    this.accumulator = 0
+    this.lastTime = null
+  }
+}
@@ -0,0 +1,1147 @@
+import {
+	DoubleSide,
+	InterpolateDiscrete,
+	InterpolateLinear,
+	MathUtils,
+	Matrix4,
+	PropertyBinding,
+	Quaternion,
+	Vector3
+} from './three.module.js';
+
+/**
+ * Writes a Scene or Object3D tree as glTF 2.0, either as a JSON object with
+ * an embedded base64 buffer or as a binary .glb ArrayBuffer.
+ *
+ * Supported: meshes, lines and points with their BufferGeometry attributes,
+ * indices and groups; standard, basic and toon materials (toon falls back to
+ * PBR or KHR_materials_unlit); perspective and orthographic cameras;
+ * directional, point and spot lights through KHR_lights_punctual; node TRS
+ * animation clips; InstancedMesh through EXT_mesh_gpu_instancing.
+ *
+ * Not supported: textures, skins and morph targets. They are skipped with a
+ * warning so the rest of the scene is still written.
+ *
+ *   const exporter = new GLTFExporter();
+ *   const glb = await exporter.parseAsync( scene, { binary: true } );
+ */
+
+const WEBGL_CONSTANTS = {
+	POINTS: 0x0000,
+	LINES: 0x0001,
+	LINE_LOOP: 0x0002,
+	LINE_STRIP: 0x0003,
+	TRIANGLES: 0x0004,
+
+	BYTE: 0x1400,
+	UNSIGNED_BYTE: 0x1401,
+	SHORT: 0x1402,
+	UNSIGNED_SHORT: 0x1403,
+	UNSIGNED_INT: 0x1405,
+	FLOAT: 0x1406,
+
+	ARRAY_BUFFER: 0x8892,
+	ELEMENT_ARRAY_BUFFER: 0x8893
+};
+
+const COMPONENT_TYPES = new Map( [
+	[ Float32Array, WEBGL_CONSTANTS.FLOAT ],
+	[ Uint32Array, WEBGL_CONSTANTS.UNSIGNED_INT ],
+	[ Uint16Array, WEBGL_CONSTANTS.UNSIGNED_SHORT ],
+	[ Int16Array, WEBGL_CONSTANTS.SHORT ],
+	[ Uint8Array, WEBGL_CONSTANTS.UNSIGNED_BYTE ],
+	[ Int8Array, WEBGL_CONSTANTS.BYTE ]
+] );
+
+const ACCESSOR_TYPES = {
+	1: 'SCALAR',
+	2: 'VEC2',
+	3: 'VEC3',
+	4: 'VEC4',
+	16: 'MAT4'
+};
+
+const ATTRIBUTE_NAMES = {
+	position: 'POSITION',
+	normal: 'NORMAL',
+	tangent: 'TANGENT',
+	uv: 'TEXCOORD_0',
+	uv2: 'TEXCOORD_1',
+	color: 'COLOR_0'
+};
+
+const PATH_PROPERTIES = {
+	position: 'translation',
+	quaternion: 'rotation',
+	scale: 'scale'
+};
+
+const EXTENSIONS = {
+	KHR_LIGHTS_PUNCTUAL: 'KHR_lights_punctual',
+	KHR_MATERIALS_UNLIT: 'KHR_materials_unlit',
+	EXT_MESH_GPU_INSTANCING: 'EXT_mesh_gpu_instancing'
+};
+
+const GLB_HEADER_MAGIC = 0x46546C67;
+const GLB_VERSION = 2;
+const GLB_CHUNK_TYPE_JSON = 0x4E4F534A;
+const GLB_CHUNK_TYPE_BIN = 0x004E4942;
+
+class GLTFExporter {
+
+	/**
+	 * @param {Object3D|Array<Object3D>} input - Scene, object or a list of them
+	 * @param {Function} onDone - called with the glTF JSON object, or an ArrayBuffer when binary is set
+	 * @param {Function} onError
+	 * @param {Object} [options]
+	 * @param {boolean} [options.binary=false] - write .glb instead of .gltf
+	 * @param {boolean} [options.onlyVisible=true] - skip objects that are not visible
+	 * @param {Array<AnimationClip>} [options.animations=[]] - clips bound to the input
+	 * @param {string} [options.toonMaterial='pbr'] - 'pbr' or 'unlit', how MeshToonMaterial is written
+	 */
+	parse( input, onDone, onError, options ) {
+
+		try {
+
+			const writer = new GLTFWriter( options );
+			onDone( writer.write( input ) );
+
+		} catch ( error ) {
+
+			if ( onError ) {
+
+				onError( error );
+
+			} else {
+
+				console.error( error );
+
+			}
+
+		}
+
+	}
+
+	parseAsync( input, options ) {
+
+		const scope = this;
+
+		return new Promise( function ( resolve, reject ) {
+
+			scope.parse( input, resolve, reject, options );
+
+		} );
+
+	}
+
+}
+
+class GLTFWriter {
+
+	constructor( options = {} ) {
+
+		this.options = Object.assign( {
+			binary: false,
+			onlyVisible: true,
+			animations: [],
+			toonMaterial: 'pbr'
+		}, options );
+
+		this.json = {
+			asset: {
+				version: '2.0',
+				generator: 'THREE.GLTFExporter'
+			}
+		};
+
+		this.chunks = [];
+		this.byteLength = 0;
+
+		this.extensionsUsed = new Set();
+		this.nodeMap = new Map();
+		this.warnings = new Set();
+
+		this.cache = {
+			attributes: new Map(),
+			materials: new Map(),
+			meshes: new Map()
+		};
+
+	}
+
+	write( input ) {
+
+		const objects = Array.isArray( input ) ? input : [ input ];
+		const looseNodes = [];
+
+		for ( const object of objects ) {
+
+			if ( object.isScene ) {
+
+				this.processScene( object );
+
+			} else {
+
+				const nodeIndex = this.processNode( object );
+				if ( nodeIndex !== null ) looseNodes.push( nodeIndex );
+
+			}
+
+		}
+
+		if ( looseNodes.length > 0 ) {
+
+			this.processSceneDef( '', looseNodes );
+
+		}
+
+		for ( const clip of this.options.animations ) {
+
+			this.processAnimation( clip, objects );
+
+		}
+
+		if ( this.extensionsUsed.size > 0 ) {
+
+			this.json.extensionsUsed = Array.from( this.extensionsUsed );
+
+		}
+
+		const binary = this.getBinary();
+
+		if ( this.options.binary ) {
+
+			if ( binary.byteLength > 0 ) this.json.buffers = [ { byteLength: binary.byteLength } ];
+
+			return this.writeGLB( binary );
+
+		}
+
+		if ( binary.byteLength > 0 ) {
+
+			this.json.buffers = [ {
+				byteLength: binary.byteLength,
+				uri: 'data:application/octet-stream;base64,' + toBase64( binary )
+			} ];
+
+		}
+
+		return this.json;
+
+	}
+
+	warn( message ) {
+
+		if ( this.warnings.has( message ) ) return;
+
+		this.warnings.add( message );
+		console.warn( 'THREE.GLTFExporter: ' + message );
+
+	}
+
+	// buffers
+
+	getBinary() {
+
+		const binary = new Uint8Array( this.byteLength );
+		let offset = 0;
+
+		for ( const chunk of this.chunks ) {
+
+			binary.set( chunk, offset );
+			offset += chunk.byteLength;
+
+		}
+
+		return binary;
+
+	}
+
+	writeGLB( binary ) {
+
+		const jsonBytes = new TextEncoder().encode( JSON.stringify( this.json ) );
+
+		// chunks are 4-byte aligned: JSON with spaces, BIN with zeros
+
+		const jsonLength = getPaddedLength( jsonBytes.byteLength );
+		const binLength = getPaddedLength( binary.byteLength );
+		const totalLength = 12 + 8 + jsonLength + ( binLength > 0 ? 8 + binLength : 0 );
+
+		const glb = new ArrayBuffer( totalLength );
+		const view = new DataView( glb );
+		const bytes = new Uint8Array( glb );
+
+		view.setUint32( 0, GLB_HEADER_MAGIC, true );
+		view.setUint32( 4, GLB_VERSION, true );
+		view.setUint32( 8, totalLength, true );
+
+		view.setUint32( 12, jsonLength, true );
+		view.setUint32( 16, GLB_CHUNK_TYPE_JSON, true );
+		bytes.set( jsonBytes, 20 );
+		bytes.fill( 0x20, 20 + jsonBytes.byteLength, 20 + jsonLength );
+
+		if ( binLength > 0 ) {
+
+			const offset = 20 + jsonLength;
+
+			view.setUint32( offset, binLength, true );
+			view.setUint32( offset + 4, GLB_CHUNK_TYPE_BIN, true );
+			bytes.set( binary, offset + 8 );
+
+		}
+
+		return glb;
+
+	}
+
+	processBufferView( array, target ) {
+
+		const json = this.json;
+
+		if ( ! json.bufferViews ) json.bufferViews = [];
+
+		const data = new Uint8Array( array.buffer, array.byteOffset, array.byteLength );
+		const paddedLength = getPaddedLength( data.byteLength );
+
+		const chunk = new Uint8Array( paddedLength );
+		chunk.set( data );
+
+		const bufferViewDef = {
+			buffer: 0,
+			byteOffset: this.byteLength,
+			byteLength: data.byteLength
+		};
+
+		if ( target !== undefined ) bufferViewDef.target = target;
+
+		this.chunks.push( chunk );
+		this.byteLength += paddedLength;
+
+		json.bufferViews.push( bufferViewDef );
+
+		return json.bufferViews.length - 1;
+
+	}
+
+	/**
+	 * Writes count items of the attribute starting at start. With a component
+	 * type other than the attribute's own, values are read denormalized.
+	 *
+	 * @param {BufferAttribute|InterleavedBufferAttribute} attribute
+	 * @param {number} [target] - WEBGL_CONSTANTS.ARRAY_BUFFER or ELEMENT_ARRAY_BUFFER
+	 * @param {number} [start=0]
+	 * @param {number} [count=attribute.count - start]
+	 * @param {Function} [ArrayType] - force a component type, e.g. Float32Array
+	 * @return {number|null} accessor index
+	 */
+	processAccessor( attribute, target, start = 0, count = attribute.count - start, ArrayType ) {
+
+		const json = this.json;
+
+		if ( count <= 0 ) return null;
+
+		const itemSize = attribute.itemSize;
+		const source = attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+
+		if ( ArrayType === undefined ) ArrayType = source.constructor;
+
+		if ( COMPONENT_TYPES.has( ArrayType ) === false ) {
+
+			this.warn( 'Unsupported attribute array type ' + ArrayType.name + ', written as Float32Array.' );
+			ArrayType = Float32Array;
+
+		}
+
+		const copyRaw = ArrayType === source.constructor;
+		const array = new ArrayType( count * itemSize );
+
+		const min = new Array( itemSize ).fill( Infinity );
+		const max = new Array( itemSize ).fill( - Infinity );
+
+		for ( let i = 0; i < count; i ++ ) {
+
+			for ( let c = 0; c < itemSize; c ++ ) {
+
+				const value = copyRaw ? getRawComponent( attribute, start + i, c ) : getComponent( attribute, start + i, c );
+
+				array[ i * itemSize + c ] = value;
+
+				min[ c ] = Math.min( min[ c ], value );
+				max[ c ] = Math.max( max[ c ], value );
+
+			}
+
+		}
+
+		if ( ! json.accessors ) json.accessors = [];
+
+		const accessorDef = {
+			bufferView: this.processBufferView( array, target ),
+			componentType: COMPONENT_TYPES.get( ArrayType ),
+			count: count,
+			max: max,
+			min: min,
+			type: ACCESSOR_TYPES[ itemSize ]
+		};
+
+		if ( copyRaw && attribute.normalized === true ) accessorDef.normalized = true;
+
+		json.accessors.push( accessorDef );
+
+		return json.accessors.length - 1;
+
+	}
+
+	processIndices( array, start, count ) {
+
+		// the component type depends on the largest vertex index, not on the length of the range.
+		// 65535 is the primitive restart value of unsigned shorts, so it needs unsigned ints too
+
+		let maxIndex = 0;
+
+		for ( let i = 0; i < count; i ++ ) maxIndex = Math.max( maxIndex, array === null ? start + i : array.getX( start + i ) );
+
+		const ArrayType = maxIndex >= 65535 ? Uint32Array : Uint16Array;
+		const indices = new ArrayType( count );
+
+		for ( let i = 0; i < count; i ++ ) indices[ i ] = array === null ? start + i : array.getX( start + i );
+
+		return this.processAccessor( { array: indices, itemSize: 1, count: count }, WEBGL_CONSTANTS.ELEMENT_ARRAY_BUFFER );
+
+	}
+
+	// geometry
+
+	processAttribute( name, attribute ) {
+
+		const cache = this.cache.attributes;
+
+		if ( cache.has( attribute ) ) return cache.get( attribute );
+
+		// positions, normals and tangents must be floats, texture coordinates and
+		// colors may also be normalized bytes or shorts, and no vertex attribute
+		// may be an unsigned int
+
+		const source = attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+		const isFloat = source instanceof Float32Array;
+		const isNormalized = attribute.normalized === true && ( source instanceof Uint8Array || source instanceof Uint16Array );
+
+		let ArrayType;
+
+		if ( name === 'POSITION' || name === 'NORMAL' || name === 'TANGENT' ) {
+
+			ArrayType = Float32Array;
+
+		} else if ( name.startsWith( '_' ) === false && ! isFloat && ! isNormalized ) {
+
+			ArrayType = Float32Array;
+
+		} else if ( source instanceof Uint32Array ) {
+
+			ArrayType = Float32Array;
+
+		}
+
+		const index = this.processAccessor( attribute, WEBGL_CONSTANTS.ARRAY_BUFFER, 0, attribute.count, ArrayType );
+
+		cache.set( attribute, index );
+
+		return index;
+
+	}
+
+	processMesh( mesh ) {
+
+		const geometry = mesh.geometry;
+		const materials = Array.isArray( mesh.material ) ? mesh.material : [ mesh.material ];
+
+		const cacheKey = geometry.uuid + ':' + materials.map( ( material ) => material ? material.uuid : '' ).join( ':' );
+
+		if ( this.cache.meshes.has( cacheKey ) ) return this.cache.meshes.get( cacheKey );
+
+		let mode;
+
+		if ( mesh.isLineSegments ) {
+
+			mode = WEBGL_CONSTANTS.LINES;
+
+		} else if ( mesh.isLineLoop ) {
+
+			mode = WEBGL_CONSTANTS.LINE_LOOP;
+
+		} else if ( mesh.isLine ) {
+
+			mode = WEBGL_CONSTANTS.LINE_STRIP;
+
+		} else if ( mesh.isPoints ) {
+
+			mode = WEBGL_CONSTANTS.POINTS;
+
+		} else {
+
+			mode = WEBGL_CONSTANTS.TRIANGLES;
+
+		}
+
+		if ( geometry.attributes.position === undefined ) {
+
+			this.warn( 'Geometry without a position attribute is skipped.' );
+			return null;
+
+		}
+
+		if ( Object.keys( geometry.morphAttributes ).length > 0 ) {
+
+			this.warn( 'Morph targets are not supported and are skipped.' );
+
+		}
+
+		const attributes = {};
+
+		for ( const attributeName in geometry.attributes ) {
+
+			if ( attributeName === 'skinIndex' || attributeName === 'skinWeight' ) {
+
+				this.warn( 'Skins are not supported; skinIndex and skinWeight are skipped.' );
+				continue;
+
+			}
+
+			const attribute = geometry.attributes[ attributeName ];
+
+			if ( attributeName === 'color' && attribute.itemSize !== 3 && attribute.itemSize !== 4 ) continue;
+
+			const name = ATTRIBUTE_NAMES[ attributeName ] !== undefined
+				? ATTRIBUTE_NAMES[ attributeName ]
+				: '_' + attributeName.toUpperCase();
+
+			const accessor = this.processAttribute( name, attribute );
+
+			if ( accessor !== null ) attributes[ name ] = accessor;
+
+		}
+
+		// one primitive per group when the mesh uses a material array
+
+		const index = geometry.index;
+		const vertexCount = index !== null ? index.count : geometry.attributes.position.count;
+
+		const groups = Array.isArray( mesh.material ) && geometry.groups.length > 0
+			? geometry.groups
+			: [ { start: 0, count: vertexCount, materialIndex: 0 } ];
+
+		const primitives = [];
+
+		for ( const group of groups ) {
+
+			const start = Math.max( group.start, 0 );
+			const count = Math.min( group.count, vertexCount - start );
+
+			if ( count <= 0 ) continue;
+
+			const primitive = { mode: mode, attributes: attributes };
+
+			if ( index !== null ) {
+
+				primitive.indices = start === 0 && count === index.count
+					? this.processAttributeIndex( index )
+					: this.processIndices( index, start, count );
+
+			} else if ( groups.length > 1 ) {
+
+				primitive.indices = this.processIndices( null, start, count );
+
+			}
+
+			const material = this.processMaterial( materials[ group.materialIndex ] );
+
+			if ( material !== null ) primitive.material = material;
+
+			primitives.push( primitive );
+
+		}
+
+		if ( primitives.length === 0 ) return null;
+
+		const json = this.json;
+
+		if ( ! json.meshes ) json.meshes = [];
+
+		const meshDef = { primitives: primitives };
+
+		if ( mesh.name !== '' ) meshDef.name = mesh.name;
+
+		json.meshes.push( meshDef );
+
+		const meshIndex = json.meshes.length - 1;
+
+		this.cache.meshes.set( cacheKey, meshIndex );
+
+		return meshIndex;
+
+	}
+
+	processAttributeIndex( index ) {
+
+		const cache = this.cache.attributes;
+
+		if ( cache.has( index ) ) return cache.get( index );
+
+		const ArrayType = index.array instanceof Uint32Array || index.array instanceof Uint16Array || index.array instanceof Uint8Array
+			? index.array.constructor
+			: Uint32Array;
+
+		const accessor = this.processAccessor( index, WEBGL_CONSTANTS.ELEMENT_ARRAY_BUFFER, 0, index.count, ArrayType );
+
+		cache.set( index, accessor );
+
+		return accessor;
+
+	}
+
+	// materials
+
+	processMaterial( material ) {
+
+		if ( material === undefined || material === null ) return null;
+
+		const cache = this.cache.materials;
+
+		if ( cache.has( material ) ) return cache.get( material );
+
+		if ( material.isShaderMaterial ) {
+
+			this.warn( 'ShaderMaterial is not supported and is skipped.' );
+			return null;
+
+		}
+
+		const json = this.json;
+
+		if ( ! json.materials ) json.materials = [];
+
+		const materialDef = { pbrMetallicRoughness: {} };
+		const pbr = materialDef.pbrMetallicRoughness;
+
+		if ( material.color !== undefined ) {
+
+			pbr.baseColorFactor = material.color.toArray().concat( [ material.opacity ] );
+
+		}
+
+		const unlit = material.isMeshBasicMaterial || material.isLineBasicMaterial || material.isPointsMaterial ||
+			( material.isMeshToonMaterial && this.options.toonMaterial === 'unlit' );
+
+		if ( material.isMeshStandardMaterial ) {
+
+			pbr.metallicFactor = material.metalness;
+			pbr.roughnessFactor = material.roughness;
+
+		} else if ( unlit ) {
+
+			pbr.metallicFactor = 0;
+			pbr.roughnessFactor = 0.9;
+
+			materialDef.extensions = { [ EXTENSIONS.KHR_MATERIALS_UNLIT ]: {} };
+			this.extensionsUsed.add( EXTENSIONS.KHR_MATERIALS_UNLIT );
+
+		} else {
+
+			// toon, phong, lambert and other lit materials become a rough dielectric
+
+			if ( ! material.isMeshToonMaterial ) {
+
+				this.warn( material.type + ' is written as a PBR material. Use MeshStandardMaterial or MeshBasicMaterial for best results.' );
+
+			}
+
+			pbr.metallicFactor = 0;
+			pbr.roughnessFactor = 1;
+
+		}
+
+		if ( material.emissive !== undefined ) {
+
+			const intensity = material.emissiveIntensity !== undefined ? material.emissiveIntensity : 1;
+			const emissive = material.emissive.clone().multiplyScalar( intensity );
+			const maxComponent = Math.max( emissive.r, emissive.g, emissive.b );
+
+			if ( maxComponent > 1 ) emissive.multiplyScalar( 1 / maxComponent );
+
+			if ( maxComponent > 0 ) materialDef.emissiveFactor = emissive.toArray();
+
+		}
+
+		for ( const key of [ 'map', 'normalMap', 'emissiveMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'alphaMap', 'gradientMap' ] ) {
+
+			if ( material[ key ] ) this.warn( 'Textures are not supported; ' + key + ' is skipped.' );
+
+		}
+
+		if ( material.transparent ) {
+
+			materialDef.alphaMode = 'BLEND';
+
+		} else if ( material.alphaTest > 0 ) {
+
+			materialDef.alphaMode = 'MASK';
+			materialDef.alphaCutoff = material.alphaTest;
+
+		}
+
+		if ( material.side === DoubleSide ) materialDef.doubleSided = true;
+
+		if ( material.name !== '' ) materialDef.name = material.name;
+
+		json.materials.push( materialDef );
+
+		const index = json.materials.length - 1;
+
+		cache.set( material, index );
+
+		return index;
+
+	}
+
+	// cameras and lights
+
+	processCamera( camera ) {
+
+		const json = this.json;
+
+		if ( ! json.cameras ) json.cameras = [];
+
+		const cameraDef = {};
+
+		if ( camera.isOrthographicCamera ) {
+
+			cameraDef.type = 'orthographic';
+			cameraDef.orthographic = {
+				xmag: camera.right,
+				ymag: camera.top,
+				zfar: camera.far <= 0 ? 0.001 : camera.far,
+				znear: camera.near < 0 ? 0 : camera.near
+			};
+
+		} else {
+
+			cameraDef.type = 'perspective';
+			cameraDef.perspective = {
+				aspectRatio: camera.aspect,
+				yfov: MathUtils.degToRad( camera.fov ),
+				zfar: camera.far <= 0 ? 0.001 : camera.far,
+				znear: camera.near < 0 ? 0 : camera.near
+			};
+
+		}
+
+		if ( camera.name !== '' ) cameraDef.name = camera.name;
+
+		json.cameras.push( cameraDef );
+
+		return json.cameras.length - 1;
+
+	}
+
+	processLight( light ) {
+
+		const lightDef = {};
+
+		if ( light.isDirectionalLight ) {
+
+			lightDef.type = 'directional';
+
+		} else if ( light.isPointLight ) {
+
+			lightDef.type = 'point';
+			if ( light.distance > 0 ) lightDef.range = light.distance;
+
+		} else if ( light.isSpotLight ) {
+
+			lightDef.type = 'spot';
+			if ( light.distance > 0 ) lightDef.range = light.distance;
+			lightDef.spot = {
+				innerConeAngle: ( 1.0 - light.penumbra ) * light.angle,
+				outerConeAngle: light.angle
+			};
+
+		} else {
+
+			this.warn( light.type + ' is not supported by KHR_lights_punctual and is skipped.' );
+			return null;
+
+		}
+
+		lightDef.color = light.color.toArray();
+		lightDef.intensity = light.intensity;
+
+		if ( light.name !== '' ) lightDef.name = light.name;
+
+		const json = this.json;
+
+		if ( ! json.extensions ) json.extensions = {};
+		if ( ! json.extensions[ EXTENSIONS.KHR_LIGHTS_PUNCTUAL ] ) json.extensions[ EXTENSIONS.KHR_LIGHTS_PUNCTUAL ] = { lights: [] };
+
+		const lights = json.extensions[ EXTENSIONS.KHR_LIGHTS_PUNCTUAL ].lights;
+
+		lights.push( lightDef );
+
+		this.extensionsUsed.add( EXTENSIONS.KHR_LIGHTS_PUNCTUAL );
+
+		return lights.length - 1;
+
+	}
+
+	// nodes
+
+	processInstances( mesh ) {
+
+		const count = mesh.count;
+		const translations = new Float32Array( count * 3 );
+		const rotations = new Float32Array( count * 4 );
+		const scales = new Float32Array( count * 3 );
+
+		const matrix = new Matrix4();
+		const position = new Vector3();
+		const quaternion = new Quaternion();
+		const scale = new Vector3();
+
+		for ( let i = 0; i < count; i ++ ) {
+
+			mesh.getMatrixAt( i, matrix );
+			matrix.decompose( position, quaternion, scale );
+
+			position.toArray( translations, i * 3 );
+			quaternion.toArray( rotations, i * 4 );
+			scale.toArray( scales, i * 3 );
+
+		}
+
+		if ( mesh.instanceColor !== null ) {
+
+			this.warn( 'Instance colors are not supported and are skipped.' );
+
+		}
+
+		this.extensionsUsed.add( EXTENSIONS.EXT_MESH_GPU_INSTANCING );
+
+		return {
+			attributes: {
+				TRANSLATION: this.processAccessor( { array: translations, itemSize: 3, count: count }, WEBGL_CONSTANTS.ARRAY_BUFFER ),
+				ROTATION: this.processAccessor( { array: rotations, itemSize: 4, count: count }, WEBGL_CONSTANTS.ARRAY_BUFFER ),
+				SCALE: this.processAccessor( { array: scales, itemSize: 3, count: count }, WEBGL_CONSTANTS.ARRAY_BUFFER )
+			}
+		};
+
+	}
+
+	processNode( object ) {
+
+		if ( this.options.onlyVisible && object.visible === false ) return null;
+
+		const json = this.json;
+
+		if ( ! json.nodes ) json.nodes = [];
+
+		const nodeDef = {};
+
+		if ( object.matrixAutoUpdate ) object.updateMatrix();
+
+		const position = new Vector3();
+		const quaternion = new Quaternion();
+		const scale = new Vector3();
+
+		object.matrix.decompose( position, quaternion, scale );
+
+		// glTF lights and cameras look down -Z; a three.js light looks at its target instead
+
+		if ( object.isDirectionalLight || object.isSpotLight ) {
+
+			const lightPosition = new Vector3();
+			const targetPosition = new Vector3();
+
+			object.updateWorldMatrix( true, false );
+			object.target.updateWorldMatrix( true, false );
+			lightPosition.setFromMatrixPosition( object.matrixWorld );
+			targetPosition.setFromMatrixPosition( object.target.matrixWorld );
+
+			const lookAt = new Matrix4().lookAt( lightPosition, targetPosition, object.up );
+			quaternion.setFromRotationMatrix( lookAt );
+
+			if ( object.parent !== null ) {
+
+				const parentQuaternion = new Quaternion();
+				object.parent.getWorldQuaternion( parentQuaternion );
+				quaternion.premultiply( parentQuaternion.invert() );
+
+			}
+
+		}
+
+		if ( ! isIdentity( quaternion.toArray(), [ 0, 0, 0, 1 ] ) ) nodeDef.rotation = quaternion.toArray();
+		if ( ! isIdentity( position.toArray(), [ 0, 0, 0 ] ) ) nodeDef.translation = position.toArray();
+		if ( ! isIdentity( scale.toArray(), [ 1, 1, 1 ] ) ) nodeDef.scale = scale.toArray();
+
+		if ( object.name !== '' ) nodeDef.name = String( object.name );
+
+		const extras = serializeUserData( object, this );
+		if ( extras !== undefined ) nodeDef.extras = extras;
+
+		if ( object.isMesh || object.isLine || object.isPoints ) {
+
+			if ( object.isSkinnedMesh ) this.warn( 'Skins are not supported; SkinnedMesh is written as a plain mesh.' );
+
+			const meshIndex = this.processMesh( object );
+
+			if ( meshIndex !== null ) {
+
+				nodeDef.mesh = meshIndex;
+
+				if ( object.isInstancedMesh ) {
+
+					nodeDef.extensions = { [ EXTENSIONS.EXT_MESH_GPU_INSTANCING ]: this.processInstances( object ) };
+
+				}
+
+			}
+
+		} else if ( object.isCamera ) {
+
+			nodeDef.camera = this.processCamera( object );
+
+		} else if ( object.isLight ) {
+
+			const lightIndex = this.processLight( object );
+
+			if ( lightIndex !== null ) {
+
+				nodeDef.extensions = { [ EXTENSIONS.KHR_LIGHTS_PUNCTUAL ]: { light: lightIndex } };
+
+			}
+
+		}
+
+		json.nodes.push( nodeDef );
+
+		const nodeIndex = json.nodes.length - 1;
+
+		this.nodeMap.set( object, nodeIndex );
+
+		const children = [];
+
+		for ( const child of object.children ) {
+
+			// the light's direction is already baked into the node rotation
+
+			if ( object.isLight && child === object.target ) continue;
+
+			const childIndex = this.processNode( child );
+
+			if ( childIndex !== null ) children.push( childIndex );
+
+		}
+
+		if ( children.length > 0 ) nodeDef.children = children;
+
+		return nodeIndex;
+
+	}
+
+	processSceneDef( name, nodes ) {
+
+		const json = this.json;
+
+		if ( ! json.scenes ) json.scenes = [];
+
+		const sceneDef = { nodes: nodes };
+
+		if ( name !== '' ) sceneDef.name = name;
+
+		json.scenes.push( sceneDef );
+
+		if ( json.scene === undefined ) json.scene = 0;
+
+	}
+
+	processScene( scene ) {
+
+		const nodes = [];
+
+		for ( const child of scene.children ) {
+
+			const nodeIndex = this.processNode( child );
+
+			if ( nodeIndex !== null ) nodes.push( nodeIndex );
+
+		}
+
+		this.processSceneDef( scene.name, nodes );
+
+	}
+
+	// animations
+
+	processAnimation( clip, roots ) {
+
+		const json = this.json;
+
+		const channels = [];
+		const samplers = [];
+
+		for ( const track of clip.tracks ) {
+
+			const trackBinding = PropertyBinding.parseTrackName( track.name );
+
+			let trackNode;
+
+			for ( const root of roots ) {
+
+				trackNode = PropertyBinding.findNode( root, trackBinding.nodeName );
+				if ( trackNode ) break;
+
+			}
+
+			const path = PATH_PROPERTIES[ trackBinding.propertyName ];
+
+			if ( ! trackNode || ! path || trackBinding.objectName ) {
+
+				this.warn( 'Animation track "' + track.name + '" is not supported and is skipped.' );
+				continue;
+
+			}
+
+			if ( ! this.nodeMap.has( trackNode ) ) {
+
+				this.warn( 'Animation track "' + track.name + '" targets an object that was not exported.' );
+				continue;
+
+			}
+
+			let interpolation;
+
+			if ( track.getInterpolation() === InterpolateDiscrete ) {
+
+				interpolation = 'STEP';
+
+			} else {
+
+				if ( track.getInterpolation() !== InterpolateLinear ) {
+
+					this.warn( 'Only LINEAR and STEP interpolation are supported; "' + track.name + '" is written as LINEAR.' );
+
+				}
+
+				interpolation = 'LINEAR';
+
+			}
+
+			const count = track.times.length;
+			const itemSize = track.values.length / count;
+
+			samplers.push( {
+				input: this.processAccessor( { array: new Float32Array( track.times ), itemSize: 1, count: count } ),
+				output: this.processAccessor( { array: new Float32Array( track.values ), itemSize: itemSize, count: count } ),
+				interpolation: interpolation
+			} );
+
+			channels.push( {
+				sampler: samplers.length - 1,
+				target: {
+					node: this.nodeMap.get( trackNode ),
+					path: path
+				}
+			} );
+
+		}
+
+		if ( channels.length === 0 ) return;
+
+		if ( ! json.animations ) json.animations = [];
+
+		json.animations.push( {
+			name: clip.name || 'clip_' + json.animations.length,
+			samplers: samplers,
+			channels: channels
+		} );
+
+	}
+
+}
+
+function getPaddedLength( byteLength ) {
+
+	return Math.ceil( byteLength / 4 ) * 4;
+
+}
+
+function getRawComponent( attribute, index, component ) {
+
+	if ( attribute.isInterleavedBufferAttribute ) {
+
+		return attribute.data.array[ index * attribute.data.stride + attribute.offset + component ];
+
+	}
+
+	return attribute.array[ index * attribute.itemSize + component ];
+
+}
+
+function getComponent( attribute, index, component ) {
+
+	if ( attribute.getX === undefined ) return getRawComponent( attribute, index, component );
+
+	switch ( component ) {
+
+		case 0: return attribute.getX( index );
+		case 1: return attribute.getY( index );
+		case 2: return attribute.getZ( index );
+		default: return attribute.getW( index );
+
+	}
+
+}
+
+function isIdentity( values, identity ) {
+
+	for ( let i = 0; i < values.length; i ++ ) {
+
+		if ( Math.abs( values[ i ] - identity[ i ] ) > 1e-7 ) return false;
+
+	}
+
+	return true;
+
+}
+
+function serializeUserData( object, writer ) {
+
+	if ( Object.keys( object.userData ).length === 0 ) return undefined;
+
+	try {
+
+		return JSON.parse( JSON.stringify( object.userData ) );
+
+	} catch ( error ) {
+
+		writer.warn( 'userData of "' + object.name + '" could not be serialized and is skipped. ' + error.message );
+		return undefined;
+
+	}
+
+}
+
+function toBase64( bytes ) {
+
+	let binary = '';
+
+	for ( let i = 0; i < bytes.byteLength; i += 0x8000 ) {
+
+		binary += String.fromCharCode.apply( null, bytes.subarray( i, i + 0x8000 ) );
+
+	}
+
+	return btoa( binary );
+
+}
+
+export { GLTFExporter };
@@ -0,0 +1,232 @@
+// Input ----------------------------------------------------------------------
+// キーボード、ポインター、タッチ、ゲームパッドの入力を「アクション」という名前
+// にまとめて扱うためのクラスです。
+// 1 つのアクションには複数の入力を割り当てられ、フレームごとに update() を呼び
+// 出すことで、そのフレームで押された（pressed）、押され続けている（held）、離さ
+// れた（released）のいずれかを問い合わせられるようになります。
+//
+// - 入力の書き方
+//   'key: '      ... KeyboardEvent.key（この例はスペースキー）
+//   'code:Space' ... KeyboardEvent.code
+//   'pointer:0'  ... マウスやペンのボタン番号（PointerEvent.button）
+//   'touch:2'    ... 画面に触れている指の本数
+//   'gamepad:0'  ... Gamepad API の standard マッピングのボタン番号
+// ----------------------------------------------------------------------------
+
+/**
+ * アクションと入力を対応付けて、フレームごとの状態を管理するクラス
+ */
+export class Input {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {object} [options]
+   * @param {EventTarget} [options.target=window] - キーボードとポインターを離す操作を監視する対象
+   * @param {EventTarget} [options.pointerTarget] - ポインターを押す操作を監視する対象（canvas など）
+   * @param {function(): Array<Gamepad>} [options.getGamepads] - ゲームパッドの一覧を返す関数
+   */
+  constructor (options = {}) {
+    this.target = options.target !== undefined ? options.target : window
+    this.pointerTarget = options.pointerTarget !== undefined ? options.pointerTarget : this.target
+    this.getGamepads = options.getGamepads !== undefined ? options.getGamepads : () => {
+      return typeof navigator !== 'undefined' && navigator.getGamepads != null ? navigator.getGamepads() : []
+    }
+
+    this.bindings = new Map() // アクション名と入力の一覧
+    this.states = new Map()   // アクション名とフレームごとの状態
+    this.down = new Set()     // いま押されている入力
+    this.latched = new Set()  // 前回の update 以降に押された入力（1 フレーム内で離されても取りこぼさない）
+    this.touches = new Set()  // 画面に触れているタッチの pointerId
+    this.keys = new Map()     // 押されている物理キー（code）と、それで押した 'key:' の入力
+
+    // リスナーは後から取り除けるように名前を付けて保持する
+    this.handleKeyDown = (keyEvent) => {
+      // Shift などを押すと同じ物理キーでも key が変わる（z と Z）ので、
+      // 離すときに押したときと同じ入力を離せるように code ごとに覚えておく
+      const key = `key:${keyEvent.key}`
+      const code = keyEvent.code || key
+      const previous = this.keys.get(code)
+      if (previous !== undefined && previous !== key) {
+        this.release(previous)
+      }
+      this.keys.set(code, key)
+      this.press(key)
+      this.press(`code:${keyEvent.code}`)
+    }
+    this.handleKeyUp = (keyEvent) => {
+      const code = keyEvent.code || `key:${keyEvent.key}`
+      const key = this.keys.has(code) === true ? this.keys.get(code) : `key:${keyEvent.key}`
+      this.keys.delete(code)
+      this.release(key)
+      this.release(`code:${keyEvent.code}`)
+    }
+    this.handlePointerDown = (pointerEvent) => {
+      if (pointerEvent.pointerType === 'touch') {
+        this.release(`touch:${this.touches.size}`)
+        this.touches.add(pointerEvent.pointerId)
+        this.press(`touch:${this.touches.size}`)
+      } else {
+        this.press(`pointer:${pointerEvent.button}`)
+      }
+    }
+    this.handlePointerUp = (pointerEvent) => {
+      if (pointerEvent.pointerType === 'touch') {
+        if (this.touches.has(pointerEvent.pointerId) === false) {
+          return
+        }
+        this.release(`touch:${this.touches.size}`)
+        this.touches.delete(pointerEvent.pointerId)
+        if (this.touches.size > 0) {
+          this.press(`touch:${this.touches.size}`)
+        }
+      } else {
+        this.release(`pointer:${pointerEvent.button}`)
+      }
+    }
+    this.handleBlur = () => {
+      // フォーカスを失うと keyup が届かないので、すべての入力を離したことにする
+      this.down.clear()
+      this.touches.clear()
+      this.keys.clear()
+    }
+
+    this.target.addEventListener('keydown', this.handleKeyDown, false)
+    this.target.addEventListener('keyup', this.handleKeyUp, false)
+    this.target.addEventListener('pointerup', this.handlePointerUp, false)
+    this.target.addEventListener('pointercancel', this.handlePointerUp, false)
+    this.target.addEventListener('blur', this.handleBlur, false)
+    this.pointerTarget.addEventListener('pointerdown', this.handlePointerDown, false)
+  }
+
+  /**
+   * アクションに入力を割り当てる
+   * @param {string} action - アクション名
+   * @param {Array<string>} inputs - 割り当てる入力
+   * @return {Input}
+   */
+  bind (action, inputs) {
+    const bindings = this.bindings.get(action) || []
+    inputs.forEach((input) => {
+      if (/^(key|code|pointer|touch|gamepad):/.test(input) === false) {
+        throw new Error(`Input: unknown input "${input}" for action "${action}".`)
+      }
+      bindings.push(input)
+    })
+    this.bindings.set(action, bindings)
+    if (this.states.has(action) === false) {
+      this.states.set(action, { pressed: false, held: false, released: false })
+    }
+    return this
+  }
+
+  /**
+   * アクションの割り当てをまとめて行う
+   * @param {Object<string, Array<string>>} map - アクション名をキーにした入力の一覧
+   * @return {Input}
+   */
+  bindAll (map) {
+    Object.keys(map).forEach((action) => {
+      this.bind(action, map[action])
+    })
+    return this
+  }
+
+  /**
+   * 入力が押されたことを記録する
+   * @param {string} input - 入力
+   */
+  press (input) {
+    this.down.add(input)
+    this.latched.add(input)
+  }
+
+  /**
+   * 入力が離されたことを記録する
+   * @param {string} input - 入力
+   */
+  release (input) {
+    this.down.delete(input)
+  }
+
+  /**
+   * フレームごとの状態を更新する（毎フレーム 1 度だけ呼び出す）
+   */
+  update () {
+    // ゲームパッドはイベントがないので毎フレーム問い合わせる
+    const gamepadDown = new Set()
+    Array.from(this.getGamepads() || []).forEach((gamepad) => {
+      if (gamepad == null) {
+        return
+      }
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed === true) {
+          gamepadDown.add(`gamepad:${index}`)
+        }
+      })
+    })
+
+    this.bindings.forEach((inputs, action) => {
+      const state = this.states.get(action)
+      const held = inputs.some((input) => {
+        return this.down.has(input) || this.latched.has(input) || gamepadDown.has(input)
+      })
+      state.pressed = held === true && state.held === false
+      state.released = held === false && state.held === true
+      state.held = held
+    })
+
+    this.latched.clear()
+  }
+
+  /**
+   * このフレームでアクションが押されたかどうか
+   * @param {string} action - アクション名
+   * @return {boolean}
+   */
+  pressed (action) {
+    return this.getState(action).pressed
+  }
+
+  /**
+   * アクションが押され続けているかどうか
+   * @param {string} action - アクション名
+   * @return {boolean}
+   */
+  held (action) {
+    return this.getState(action).held
+  }
+
+  /**
+   * このフレームでアクションが離されたかどうか
+   * @param {string} action - アクション名
+   * @return {boolean}
+   */
+  released (action) {
+    return this.getState(action).released
+  }
+
+  /**
+   * アクションの状態を取得する
+   * @param {string} action - アクション名
+   * @return {{pressed: boolean, held: boolean, released: boolean}}
+   */
+  getState (action) {
+    const state = this.states.get(action)
+    if (state === undefined) {
+      throw new Error(`Input: action "${action}" is not bound.`)
+    }
+    return state
+  }
+
+  /**
+   * イベントリスナーを取り除く
+   */
+  dispose () {
+    this.target.removeEventListener('keydown', this.handleKeyDown, false)
+    this.target.removeEventListener('keyup', this.handleKeyUp, false)
+    this.target.removeEventListener('pointerup', this.handlePointerUp, false)
+    this.target.removeEventListener('pointercancel', this.handlePointerUp, false)
+    this.target.removeEventListener('blur', this.handleBlur, false)
+    this.pointerTarget.removeEventListener('pointerdown', this.handlePointerDown, false)
+  }
+}
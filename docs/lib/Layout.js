@@ -0,0 +1,353 @@
+// Layout ---------------------------------------------------------------------
+// 複数のメッシュを並べるための配置（position、rotation、scale）を生成するモジ
+// ュールです。Math.random() の代わりにシード付きの乱数を使うので、同じシード
+// を渡せば何度ページを読み込んでも同じ配置になり、スクリーンショットを比べる
+// ことができます。
+//
+//   const transforms = createLayout('poisson', 10, { seed: 1, size: 5.0 })
+//   applyTransforms(this.boxArray, transforms)
+//
+// 配置の種類は LAYOUTS と 'noise' です。'noise' 以外では次のオプションも使えます。
+//   seed     - 乱数のシード（数値または文字列）
+//   rotation - true ならランダムに回転させる
+//   scale    - [最小, 最大] の範囲でランダムに拡大縮小する
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+
+/**
+ * シード付きの乱数を生成する関数を返す（mulberry32）
+ * @param {number|string} [seed=1] - シード、文字列の場合はハッシュ値を使う
+ * @return {function(): number} 呼ぶたびに 0 以上 1 未満の値を返す関数
+ */
+export function createRandom (seed = 1) {
+  let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * 文字列から 32 ビットのハッシュ値を求める（FNV-1a）
+ * @param {string} text - 文字列
+ * @return {number}
+ */
+function hashString (text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; ++i) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * 乱数から -1 以上 1 未満の値を返す
+ * @param {function(): number} random - 乱数を返す関数
+ * @return {number}
+ */
+function signed (random) {
+  return random() * 2.0 - 1.0
+}
+
+/**
+ * 位置の配列から配置の配列を生成する
+ * @param {Array<THREE.Vector3>} positions - 位置
+ * @param {function(): number} random - 乱数を返す関数
+ * @param {object} options - 配置のオプション
+ * @return {Array<{position: THREE.Vector3, rotation: THREE.Euler, scale: THREE.Vector3}>}
+ */
+function toTransforms (positions, random, options) {
+  return positions.map((position) => {
+    const rotation = new THREE.Euler()
+    if (options.rotation === true) {
+      rotation.set(random() * Math.PI * 2.0, random() * Math.PI * 2.0, random() * Math.PI * 2.0)
+    }
+    const scale = new THREE.Vector3(1.0, 1.0, 1.0)
+    if (Array.isArray(options.scale) === true) {
+      const [min, max] = options.scale
+      scale.setScalar(min + random() * (max - min))
+    }
+    return { position, rotation, scale }
+  })
+}
+
+/**
+ * 立方体の中に一様に散らす（以前の Math.random() による配置と同じ）
+ * @param {number} count - 個数
+ * @param {function(): number} random - 乱数を返す関数
+ * @param {object} options
+ * @param {number} [options.size=5.0] - 立方体の一辺の半分
+ * @return {Array<THREE.Vector3>}
+ */
+function randomPositions (count, random, options) {
+  const size = options.size !== undefined ? options.size : 5.0
+  const positions = []
+  for (let i = 0; i < count; ++i) {
+    positions.push(new THREE.Vector3(signed(random) * size, signed(random) * size, signed(random) * size))
+  }
+  return positions
+}
+
+/**
+ * 格子状に並べる
+ * 列数を指定しなければ、なるべく立方体に近くなるように個数の 3 乗根から決める
+ * @param {number} count - 個数
+ * @param {function(): number} random - 乱数を返す関数（使わない）
+ * @param {object} options
+ * @param {number} [options.spacing=2.0] - 間隔
+ * @param {number} [options.columns] - 1 列に並べる個数
+ * @return {Array<THREE.Vector3>}
+ */
+function gridPositions (count, random, options) {
+  const spacing = options.spacing !== undefined ? options.spacing : 2.0
+  const columns = options.columns !== undefined ? options.columns : Math.ceil(Math.cbrt(count))
+  const rows = Math.min(columns, Math.ceil(count / columns))
+  const layers = Math.ceil(count / (columns * rows))
+  const positions = []
+  for (let i = 0; i < count; ++i) {
+    const x = i % columns
+    const z = Math.floor(i / columns) % rows
+    const y = Math.floor(i / (columns * rows))
+    // 全体の中心が原点に来るようにずらす
+    positions.push(new THREE.Vector3(
+      (x - (columns - 1) / 2) * spacing,
+      (y - (layers - 1) / 2) * spacing,
+      (z - (rows - 1) / 2) * spacing,
+    ))
+  }
+  return positions
+}
+
+/**
+ * 球の表面にランダムに散らす
+ * @param {number} count - 個数
+ * @param {function(): number} random - 乱数を返す関数
+ * @param {object} options
+ * @param {number} [options.radius=5.0] - 球の半径
+ * @return {Array<THREE.Vector3>}
+ */
+function spherePositions (count, random, options) {
+  const radius = options.radius !== undefined ? options.radius : 5.0
+  const positions = []
+  for (let i = 0; i < count; ++i) {
+    // 緯度を一様に取ると極に集まるので、高さ（cos）を一様に取る
+    const y = signed(random)
+    const theta = random() * Math.PI * 2.0
+    const r = Math.sqrt(1.0 - y * y)
+    positions.push(new THREE.Vector3(Math.cos(theta) * r, y, Math.sin(theta) * r).multiplyScalar(radius))
+  }
+  return positions
+}
+
+/**
+ * 球の表面に黄金角で螺旋状に並べる（フィボナッチ球）
+ * 乱数を使わずに、ほぼ等間隔に散らすことができる
+ * @param {number} count - 個数
+ * @param {function(): number} random - 乱数を返す関数（使わない）
+ * @param {object} options
+ * @param {number} [options.radius=5.0] - 球の半径
+ * @return {Array<THREE.Vector3>}
+ */
+function fibonacciPositions (count, random, options) {
+  const radius = options.radius !== undefined ? options.radius : 5.0
+  const goldenAngle = Math.PI * (3.0 - Math.sqrt(5.0))
+  const positions = []
+  for (let i = 0; i < count; ++i) {
+    const y = 1.0 - ((i + 0.5) / count) * 2.0
+    const r = Math.sqrt(1.0 - y * y)
+    const theta = goldenAngle * i
+    positions.push(new THREE.Vector3(Math.cos(theta) * r, y, Math.sin(theta) * r).multiplyScalar(radius))
+  }
+  return positions
+}
+
+/**
+ * 立方体の中に、互いに一定の距離以上離れるように散らす（ポアソンディスク）
+ * 候補を何度か試しても置けなかった場合は、count より少ない個数で終わる
+ * @param {number} count - 個数
+ * @param {function(): number} random - 乱数を返す関数
+ * @param {object} options
+ * @param {number} [options.size=5.0] - 立方体の一辺の半分
+ * @param {number} [options.minDistance=1.5] - 最小の距離
+ * @param {number} [options.maxAttempts=30] - 1 個あたりに試す候補の数
+ * @return {Array<THREE.Vector3>}
+ */
+function poissonPositions (count, random, options) {
+  const size = options.size !== undefined ? options.size : 5.0
+  const minDistance = options.minDistance !== undefined ? options.minDistance : 1.5
+  const maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 30
+
+  // 一辺が minDistance の格子に分けて、近くのセルだけを調べる
+  const cells = new Map()
+  const cellKey = (x, y, z) => `${x},${y},${z}`
+  const cellOf = (value) => Math.floor((value + size) / minDistance)
+  const isFarEnough = (candidate) => {
+    const cx = cellOf(candidate.x)
+    const cy = cellOf(candidate.y)
+    const cz = cellOf(candidate.z)
+    for (let x = cx - 1; x <= cx + 1; ++x) {
+      for (let y = cy - 1; y <= cy + 1; ++y) {
+        for (let z = cz - 1; z <= cz + 1; ++z) {
+          const list = cells.get(cellKey(x, y, z))
+          if (list !== undefined && list.some((p) => p.distanceTo(candidate) < minDistance) === true) {
+            return false
+          }
+        }
+      }
+    }
+    return true
+  }
+
+  const positions = []
+  for (let i = 0; i < count; ++i) {
+    for (let attempt = 0; attempt < maxAttempts; ++attempt) {
+      const candidate = new THREE.Vector3(signed(random) * size, signed(random) * size, signed(random) * size)
+      if (isFarEnough(candidate) === true) {
+        const key = cellKey(cellOf(candidate.x), cellOf(candidate.y), cellOf(candidate.z))
+        if (cells.has(key) === false) {
+          cells.set(key, [])
+        }
+        cells.get(key).push(candidate)
+        positions.push(candidate)
+        break
+      }
+    }
+  }
+  return positions
+}
+
+/**
+ * シード付きの 3 次元のバリューノイズを返す
+ * 整数の格子点に乱数を置き、その間を滑らかに補間する
+ * @param {function(): number} random - 乱数を返す関数
+ * @return {function(number, number, number): number} 0 以上 1 以下の値を返す関数
+ */
+export function createNoise (random) {
+  const SIZE = 256
+  const values = new Float32Array(SIZE)
+  const permutation = new Uint8Array(SIZE * 2)
+  for (let i = 0; i < SIZE; ++i) {
+    values[i] = random()
+    permutation[i] = i
+  }
+  // 並び順をシャッフルする（Fisher-Yates）
+  for (let i = SIZE - 1; i > 0; --i) {
+    const j = Math.floor(random() * (i + 1))
+    const t = permutation[i]
+    permutation[i] = permutation[j]
+    permutation[j] = t
+  }
+  for (let i = 0; i < SIZE; ++i) {
+    permutation[i + SIZE] = permutation[i]
+  }
+
+  const lattice = (x, y, z) => values[permutation[permutation[permutation[x & 255] + (y & 255)] + (z & 255)]]
+  const smooth = (t) => t * t * (3.0 - 2.0 * t)
+  const lerp = THREE.MathUtils.lerp
+
+  return (x, y, z) => {
+    const ix = Math.floor(x)
+    const iy = Math.floor(y)
+    const iz = Math.floor(z)
+    const fx = smooth(x - ix)
+    const fy = smooth(y - iy)
+    const fz = smooth(z - iz)
+    const x00 = lerp(lattice(ix, iy, iz), lattice(ix + 1, iy, iz), fx)
+    const x10 = lerp(lattice(ix, iy + 1, iz), lattice(ix + 1, iy + 1, iz), fx)
+    const x01 = lerp(lattice(ix, iy, iz + 1), lattice(ix + 1, iy, iz + 1), fx)
+    const x11 = lerp(lattice(ix, iy + 1, iz + 1), lattice(ix + 1, iy + 1, iz + 1), fx)
+    return lerp(lerp(x00, x10, fy), lerp(x01, x11, fy), fz)
+  }
+}
+
+/**
+ * XZ 平面に格子状に並べ、高さと大きさと向きをノイズで変化させる
+ * 隣り合うメッシュの値が少しずつ変わるので、地形のような起伏になる
+ * 回転と拡大縮小もノイズで決まるので、rotation と scale のオプションは使わない
+ * @param {number} count - 個数
+ * @param {function(): number} random - 乱数を返す関数
+ * @param {object} options
+ * @param {number} [options.size=5.0] - 平面の一辺の半分
+ * @param {number} [options.height=2.0] - 高さの振れ幅
+ * @param {number} [options.frequency=0.3] - ノイズの細かさ
+ * @return {Array<{position: THREE.Vector3, rotation: THREE.Euler, scale: THREE.Vector3}>}
+ */
+function noiseTransforms (count, random, options) {
+  const size = options.size !== undefined ? options.size : 5.0
+  const height = options.height !== undefined ? options.height : 2.0
+  const frequency = options.frequency !== undefined ? options.frequency : 0.3
+  const noise = createNoise(random)
+  const columns = Math.ceil(Math.sqrt(count))
+  const rows = Math.ceil(count / columns)
+  const transforms = []
+  for (let i = 0; i < count; ++i) {
+    const x = columns > 1 ? ((i % columns) / (columns - 1) * 2.0 - 1.0) * size : 0.0
+    const z = rows > 1 ? (Math.floor(i / columns) / (rows - 1) * 2.0 - 1.0) * size : 0.0
+    // 項目ごとにノイズを読む位置をずらして、違う模様にする
+    const h = noise(x * frequency, 0.0, z * frequency)
+    const s = noise(x * frequency, 10.0, z * frequency)
+    const r = noise(x * frequency, 20.0, z * frequency)
+    transforms.push({
+      position: new THREE.Vector3(x, (h * 2.0 - 1.0) * height, z),
+      rotation: new THREE.Euler(0.0, r * Math.PI * 2.0, 0.0),
+      scale: new THREE.Vector3().setScalar(0.5 + s),
+    })
+  }
+  return transforms
+}
+
+/**
+ * 配置の種類
+ * 位置だけを生成するものは toTransforms で回転と拡大縮小を加える
+ */
+export const LAYOUTS = {
+  random: randomPositions,
+  grid: gridPositions,
+  sphere: spherePositions,
+  fibonacci: fibonacciPositions,
+  poisson: poissonPositions,
+}
+
+/**
+ * 配置を生成する
+ * @param {string} type - 'random'、'grid'、'sphere'、'fibonacci'、'poisson'、'noise' のいずれか
+ * @param {number} count - 個数
+ * @param {object} [options] - 共通のオプションと、それぞれの配置の関数のオプション
+ * @return {Array<{position: THREE.Vector3, rotation: THREE.Euler, scale: THREE.Vector3}>}
+ */
+export function createLayout (type, count, options = {}) {
+  const random = createRandom(options.seed !== undefined ? options.seed : 1)
+  if (type === 'noise') {
+    return noiseTransforms(count, random, options)
+  }
+  if (LAYOUTS[type] === undefined) {
+    throw new Error(`Layout: unknown type "${type}".`)
+  }
+  return toTransforms(LAYOUTS[type](count, random, options), random, options)
+}
+
+/**
+ * 配置をオブジェクトに反映する
+ * 配置の数がオブジェクトより少ない場合（poisson で置けなかった場合など）、
+ * 余ったオブジェクトは非表示にする
+ * @param {Array<THREE.Object3D>} objects - 対象のオブジェクト
+ * @param {Array<object>} transforms - createLayout で生成した配置
+ */
+export function applyTransforms (objects, transforms) {
+  objects.forEach((object, index) => {
+    const transform = transforms[index]
+    if (transform === undefined) {
+      object.visible = false
+      return
+    }
+    object.visible = true
+    object.position.copy(transform.position)
+    object.rotation.copy(transform.rotation)
+    object.scale.copy(transform.scale)
+  })
+}
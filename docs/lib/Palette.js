@@ -0,0 +1,308 @@
+// Palette --------------------------------------------------------------------
+// 「肌」「髪」「帽子」のような役割（ロール）ごとに色を決めたパレットを切り替え
+// るためのモジュールです。マテリアルは役割ごとに 1 つだけ生成して共有しておき、
+// パレットを切り替えるときはマテリアルの色だけを書き換えるので、メッシュを作り
+// 直す必要はありません（InstancedMesh にまとめた後でもそのまま反映されます）。
+//
+//   const theme = new PaletteTheme(materials, { default: palette })
+//   theme.set('night', { duration: 0.5 }) // 0.5 秒かけて色を変える
+//   theme.update(delta)                    // 描画ループから毎フレーム呼び出す
+//
+// パレットは次の形式から読み込めます。
+//   JSON         ... { "name": "...", "roles": { "skin": "#f6bd98", ... } }
+//                    または { "name": "...", "colors": ["#f6bd98", ...] }
+//   GIMP (.gpl)  ... "GIMP Palette" で始まり、1 行に "R G B 名前" を並べたもの
+//   Lospec (.hex) ... 1 行に 1 色ずつ "f6bd98" のように並べたもの
+// 色の一覧だけのパレット（.hex など）は、マテリアルの役割の順に色を割り当てます。
+// .gpl の色の名前が役割の名前と一致する場合は、順番より名前を優先します。
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+
+/**
+ * 16 進数の色の書式
+ */
+const HEX_PATTERN = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i
+
+/**
+ * 色の文字列を '#rrggbb' の形にそろえる
+ * @param {string} value - '#rgb'、'#rrggbb'、'rrggbb' など
+ * @return {string}
+ */
+function normalizeHex (value) {
+  const match = HEX_PATTERN.exec(value.trim())
+  if (match === null) {
+    throw new Error(`Palette: "${value}" is not a hex color.`)
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1]
+  return `#${hex.toLowerCase()}`
+}
+
+/**
+ * GIMP のパレット（.gpl）を読み込む
+ * @param {string} text - ファイルの内容
+ * @return {{name: string, colors: Array<string>, names: Array<string>}}
+ */
+function parseGPL (text) {
+  const lines = text.split(/\r?\n/)
+  if (lines[0].trim() !== 'GIMP Palette') {
+    throw new Error('Palette: a .gpl file must start with "GIMP Palette".')
+  }
+  const palette = { name: '', colors: [], names: [] }
+  lines.slice(1).forEach((line, index) => {
+    const trimmed = line.trim()
+    if (trimmed === '' || trimmed.startsWith('#') === true) {
+      return
+    }
+    if (/^Name:/i.test(trimmed) === true) {
+      palette.name = trimmed.slice(5).trim()
+      return
+    }
+    if (/^Columns:/i.test(trimmed) === true) {
+      return
+    }
+    const match = /^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(trimmed)
+    if (match === null) {
+      throw new Error(`Palette: invalid .gpl line ${index + 2}: "${trimmed}".`)
+    }
+    const rgb = match.slice(1, 4).map((value) => Math.min(255, parseInt(value, 10)))
+    palette.colors.push(`#${rgb.map((value) => value.toString(16).padStart(2, '0')).join('')}`)
+    palette.names.push(match[4].trim())
+  })
+  return palette
+}
+
+/**
+ * Lospec の 16 進数のパレット（.hex）を読み込む
+ * @param {string} text - ファイルの内容
+ * @return {{name: string, colors: Array<string>}}
+ */
+function parseHex (text) {
+  const colors = text.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== '')
+    .map(normalizeHex)
+  return { name: '', colors: colors }
+}
+
+/**
+ * JSON のパレットを読み込む
+ * roles も colors もないオブジェクトは、役割と色の対応そのものとして扱う
+ * @param {object|string} json - JSON の文字列、またはパース済みのオブジェクト
+ * @return {{name: string, roles: Object<string, string>, colors: Array<string>}}
+ */
+function parseJSON (json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json
+  const palette = { name: data.name || '', roles: {}, colors: [] }
+  if (Array.isArray(data.colors) === true) {
+    palette.colors = data.colors.map(normalizeHex)
+  }
+  const roles = data.roles !== undefined ? data.roles : (data.colors === undefined ? data : {})
+  Object.keys(roles).forEach((role) => {
+    if (role !== 'name') {
+      palette.roles[role] = normalizeHex(roles[role])
+    }
+  })
+  return palette
+}
+
+/**
+ * パレットの文字列を読み込む
+ * format を省略した場合は内容から判定する
+ * @param {string|object} source - ファイルの内容、またはパース済みの JSON
+ * @param {string} [format] - 'json'、'gpl'、'hex' のいずれか
+ * @return {{name: string, roles: Object<string, string>, colors: Array<string>, names: Array<string>}}
+ */
+export function parsePalette (source, format) {
+  if (format === undefined) {
+    if (typeof source !== 'string') {
+      format = 'json'
+    } else if (source.trimStart().startsWith('GIMP Palette') === true) {
+      format = 'gpl'
+    } else if (/^\s*[{[]/.test(source) === true) {
+      format = 'json'
+    } else {
+      format = 'hex'
+    }
+  }
+  let palette
+  switch (format) {
+    case 'json':
+      palette = parseJSON(source)
+      break
+    case 'gpl':
+      palette = parseGPL(source)
+      break
+    case 'hex':
+      palette = parseHex(source)
+      break
+    default:
+      throw new Error(`Palette: unknown format "${format}".`)
+  }
+  return Object.assign({ roles: {}, names: [] }, palette)
+}
+
+/**
+ * パレットのファイルを読み込む
+ * 形式は拡張子（.json、.gpl、.hex）から判定し、それ以外は内容から判定する
+ * @param {string} url - ファイルの URL
+ * @return {Promise<object>} parsePalette の戻り値
+ */
+export async function loadPalette (url) {
+  const response = await fetch(url)
+  if (response.ok !== true) {
+    throw new Error(`Palette: failed to load "${url}" (${response.status}).`)
+  }
+  const text = await response.text()
+  const extension = /\.(json|gpl|hex)(?:[?#].*)?$/i.exec(url)
+  const palette = parsePalette(text, extension !== null ? extension[1].toLowerCase() : undefined)
+  if (palette.name === '') {
+    palette.name = url.split('/').pop().replace(/\.[^.]*$/, '')
+  }
+  return palette
+}
+
+/**
+ * パレットの色を役割に割り当てる
+ * 名前で対応が決まらない役割には、残りの色を順に割り当てる
+ * 色が足りない場合、その役割は含めない（元の色のまま）
+ * @param {object} palette - parsePalette の戻り値
+ * @param {Array<string>} roles - 役割の名前（割り当てる順）
+ * @return {Object<string, string>} 役割の名前をキーにした色
+ */
+export function assignRoles (palette, roles) {
+  const assigned = {}
+  const used = new Set()
+  roles.forEach((role) => {
+    if (palette.roles !== undefined && palette.roles[role] !== undefined) {
+      assigned[role] = palette.roles[role]
+      return
+    }
+    const index = palette.names !== undefined ? palette.names.indexOf(role) : -1
+    if (index !== -1) {
+      assigned[role] = palette.colors[index]
+      used.add(index)
+    }
+  })
+  const rest = palette.colors.filter((color, index) => used.has(index) === false)
+  roles.forEach((role) => {
+    if (assigned[role] === undefined && rest.length > 0) {
+      assigned[role] = rest.shift()
+    }
+  })
+  return assigned
+}
+
+/**
+ * 役割ごとのマテリアルの色を、名前付きのパレットで切り替えるクラス
+ */
+export class PaletteTheme {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {Object<string, THREE.Material>} materials - 役割の名前をキーにしたマテリアル
+   * @param {Object<string, object>} [palettes] - パレットの名前をキーにしたパレット（役割と色の対応、または parsePalette の戻り値）
+   */
+  constructor (materials, palettes = {}) {
+    this.materials = materials
+    this.roles = Object.keys(materials)
+    this.palettes = new Map() // パレットの名前と、役割をキーにした色
+    this.current = null       // 現在のパレットの名前
+    this.tween = null         // 色を変えている途中の { from, to, elapsed, duration }
+
+    Object.keys(palettes).forEach((name) => {
+      this.add(name, palettes[name])
+    })
+  }
+
+  /**
+   * パレットを追加する
+   * @param {string} name - パレットの名前
+   * @param {object} palette - 役割と色の対応、または parsePalette の戻り値
+   */
+  add (name, palette) {
+    const parsed = Array.isArray(palette.colors) === true || palette.roles !== undefined
+      ? palette
+      : parsePalette(palette, 'json')
+    this.palettes.set(name, assignRoles(parsed, this.roles))
+  }
+
+  /**
+   * パレットの名前の一覧
+   * @return {Array<string>}
+   */
+  get names () {
+    return Array.from(this.palettes.keys())
+  }
+
+  /**
+   * パレットを切り替える
+   * duration を指定すると、その秒数をかけて今の色から新しい色に変えていく
+   * @param {string} name - パレットの名前
+   * @param {object} [options]
+   * @param {number} [options.duration=0] - 色を変えるのにかける時間（秒）
+   */
+  set (name, options = {}) {
+    const palette = this.palettes.get(name)
+    if (palette === undefined) {
+      throw new Error(`PaletteTheme: unknown palette "${name}".`)
+    }
+    const duration = options.duration !== undefined ? options.duration : 0
+    this.current = name
+
+    const from = {}
+    const to = {}
+    Object.keys(palette).forEach((role) => {
+      from[role] = this.materials[role].color.clone()
+      to[role] = new THREE.Color(palette[role])
+    })
+    this.tween = { from, to, elapsed: 0, duration }
+    this.update(0)
+  }
+
+  /**
+   * 次のパレットに切り替える
+   * @param {object} [options] - set と同じ
+   * @return {string} 切り替えたパレットの名前
+   */
+  next (options = {}) {
+    const names = this.names
+    const index = names.indexOf(this.current)
+    const name = names[(index + 1) % names.length]
+    this.set(name, options)
+    return name
+  }
+
+  /**
+   * 色を変えている途中であれば、経過時間に応じて色を更新する
+   * @param {number} delta - 前のフレームからの経過時間（秒）
+   */
+  update (delta) {
+    if (this.tween === null) {
+      return
+    }
+    const tween = this.tween
+    tween.elapsed += delta
+    const t = tween.duration > 0 ? Math.min(tween.elapsed / tween.duration, 1.0) : 1.0
+    // 始まりと終わりがなめらかになるように補間する
+    const eased = t * t * (3.0 - 2.0 * t)
+    Object.keys(tween.to).forEach((role) => {
+      this.materials[role].color.lerpColors(tween.from[role], tween.to[role], eased)
+    })
+    if (t >= 1.0) {
+      this.tween = null
+    }
+  }
+
+  /**
+   * 現在のマテリアルの色を、役割と色の対応として書き出す
+   * @return {Object<string, string>}
+   */
+  toJSON () {
+    const roles = {}
+    this.roles.forEach((role) => {
+      roles[role] = `#${this.materials[role].color.getHexString()}`
+    })
+    return { name: this.current, roles: roles }
+  }
+}
@@ -0,0 +1,298 @@
+// ParamPanel -----------------------------------------------------------------
+// App3 の定数（CAMERA_PARAM、DIRECTIONAL_LIGHT_PARAM、AMBIENT_LIGHT_PARAM、
+// MATERIAL_PARAM）を読み取って、スライダー、カラーピッカー、チェックボックスを
+// 並べた調整用のパネルを生成します。外部のライブラリは使いません。
+// パネルでの変更はその場で camera、directionalLight、ambientLight、material に
+// 反映され、toParams() で現在の値を定数と同じ形のオブジェクトとして書き出せる
+// ので、調整が終わったら script.js の定数に貼り付けます。
+// ----------------------------------------------------------------------------
+
+/**
+ * スライダーの範囲（最小値、最大値、刻み）
+ */
+const RANGES = {
+  fovy: [10, 120, 1],
+  near: [0.01, 10, 0.01],
+  far: [1, 100, 0.1],
+  intensity: [0, 5, 0.01],
+  x: [-10, 10, 0.01],
+  y: [-10, 10, 0.01],
+  z: [-10, 10, 0.01],
+  shininess: [0, 200, 1],
+  opacity: [0, 1, 0.01],
+  roughness: [0, 1, 0.01],
+  metalness: [0, 1, 0.01],
+}
+
+/**
+ * 定数の値を、three.js のオブジェクトのどのプロパティに反映するかを定義する
+ * @param {App3} app - 対象のインスタンス
+ * @return {Array<{name: string, target: object, get: function, set: function}>}
+ */
+function createGroups (app) {
+  const groups = []
+
+  // Object3D の位置と、定数の x, y, z を対応付ける
+  const position = (object) => {
+    return {
+      x: { get: () => object.position.x, set: (v) => { object.position.x = v } },
+      y: { get: () => object.position.y, set: (v) => { object.position.y = v } },
+      z: { get: () => object.position.z, set: (v) => { object.position.z = v } },
+    }
+  }
+  // 色のプロパティ
+  const color = (object, key) => {
+    return { get: () => `#${object[key].getHexString()}`, set: (v) => { object[key].set(v) } }
+  }
+  // 値をそのまま代入するプロパティ
+  const value = (object, key, onChange = () => {}) => {
+    return { get: () => object[key], set: (v) => { object[key] = v; onChange() } }
+  }
+
+  if (app.camera != null) {
+    const camera = app.camera
+    const update = () => camera.updateProjectionMatrix()
+    groups.push({
+      name: 'CAMERA_PARAM',
+      param: app.constructor.CAMERA_PARAM,
+      accessors: Object.assign({
+        fovy: value(camera, 'fov', update),
+        near: value(camera, 'near', update),
+        far: value(camera, 'far', update),
+      }, position(camera)),
+    })
+  }
+  if (app.directionalLight != null) {
+    const light = app.directionalLight
+    groups.push({
+      name: 'DIRECTIONAL_LIGHT_PARAM',
+      param: app.constructor.DIRECTIONAL_LIGHT_PARAM,
+      accessors: Object.assign({
+        color: color(light, 'color'),
+        intensity: value(light, 'intensity'),
+      }, position(light)),
+    })
+  }
+  if (app.ambientLight != null) {
+    const light = app.ambientLight
+    groups.push({
+      name: 'AMBIENT_LIGHT_PARAM',
+      param: app.constructor.AMBIENT_LIGHT_PARAM,
+      accessors: {
+        color: color(light, 'color'),
+        intensity: value(light, 'intensity'),
+      },
+    })
+  }
+  if (app.material != null && app.constructor.MATERIAL_PARAM != null) {
+    // マテリアルは定数のキーがそのままプロパティ名になっている
+    const material = app.material
+    const accessors = {}
+    Object.keys(app.constructor.MATERIAL_PARAM).forEach((key) => {
+      if (material[key] != null && material[key].isColor === true) {
+        accessors[key] = color(material, key)
+      } else if (typeof material[key] === 'boolean') {
+        // シェーダーが変わる項目はマテリアルの再コンパイルが必要
+        accessors[key] = value(material, key, () => { material.needsUpdate = true })
+      } else if (typeof material[key] === 'number') {
+        accessors[key] = value(material, key)
+      }
+    })
+    groups.push({ name: 'MATERIAL_PARAM', param: app.constructor.MATERIAL_PARAM, accessors: accessors })
+  }
+
+  return groups
+}
+
+/**
+ * ファイルとしてダウンロードさせる
+ * @param {Blob} blob - 中身
+ * @param {string} filename - ファイル名
+ */
+function download (blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const anchor = document.createElement('a')
+  anchor.href = url
+  anchor.download = filename
+  anchor.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * App3 の定数を調整するためのパネル
+ */
+export class ParamPanel {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {App3} app - init 済みの App3 のインスタンス
+   * @param {object} [options]
+   * @param {HTMLElement} [options.parent=document.body] - パネルを追加する要素
+   */
+  constructor (app, options = {}) {
+    this.app = app
+    this.groups = createGroups(app)
+    this.inputs = [] // 値を読み直すための入力要素と、それに対応するアクセサ
+
+    this.element = document.createElement('div')
+    Object.assign(this.element.style, {
+      position: 'fixed',
+      top: '8px',
+      right: '8px',
+      width: '260px',
+      maxHeight: 'calc(100vh - 16px)',
+      overflowY: 'auto',
+      padding: '8px',
+      background: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      font: '11px/1.6 monospace',
+      zIndex: '1',
+    })
+
+    this.groups.forEach((group) => {
+      this.element.appendChild(this.createGroup(group))
+    })
+
+    // 書き出しボタン
+    const button = document.createElement('button')
+    button.textContent = 'export params'
+    button.style.width = '100%'
+    button.addEventListener('click', () => {
+      this.exportParams()
+    }, false)
+    this.element.appendChild(button)
+
+    const parent = options.parent !== undefined ? options.parent : document.body
+    parent.appendChild(this.element)
+  }
+
+  /**
+   * 定数 1 つ分の入力要素をまとめた要素を生成する
+   * @param {object} group - createGroups で生成したグループ
+   * @return {HTMLElement}
+   */
+  createGroup (group) {
+    const details = document.createElement('details')
+    details.open = true
+    const summary = document.createElement('summary')
+    summary.textContent = group.name
+    details.appendChild(summary)
+
+    Object.keys(group.accessors).forEach((key) => {
+      const accessor = group.accessors[key]
+      const current = accessor.get()
+
+      const label = document.createElement('label')
+      Object.assign(label.style, { display: 'flex', alignItems: 'center', gap: '4px' })
+      const name = document.createElement('span')
+      name.textContent = key
+      name.style.width = '64px'
+      label.appendChild(name)
+
+      const input = document.createElement('input')
+      const output = document.createElement('span')
+      output.style.width = '48px'
+      output.style.textAlign = 'right'
+
+      if (typeof current === 'boolean') {
+        // トグル
+        input.type = 'checkbox'
+        input.checked = current
+        input.addEventListener('input', () => {
+          accessor.set(input.checked)
+        }, false)
+      } else if (typeof current === 'string') {
+        // カラーピッカー
+        input.type = 'color'
+        input.value = current
+        input.addEventListener('input', () => {
+          accessor.set(input.value)
+        }, false)
+      } else {
+        // スライダー
+        const range = RANGES[key] || [0, Math.max(1, Math.abs(current) * 2), 0.01]
+        input.type = 'range'
+        input.min = Math.min(range[0], current)
+        input.max = Math.max(range[1], current)
+        input.step = range[2]
+        input.value = current
+        input.style.flex = '1'
+        output.textContent = current
+        input.addEventListener('input', () => {
+          accessor.set(parseFloat(input.value))
+          output.textContent = input.value
+        }, false)
+      }
+
+      label.appendChild(input)
+      label.appendChild(output)
+      details.appendChild(label)
+      this.inputs.push({ input, output, accessor })
+    })
+
+    return details
+  }
+
+  /**
+   * 現在の値でパネルの表示を更新する
+   * OrbitControls でカメラを動かした場合など、パネルの外で値が変わったときに使う
+   */
+  refresh () {
+    this.inputs.forEach(({ input, output, accessor }) => {
+      const current = accessor.get()
+      if (input.type === 'checkbox') {
+        input.checked = current
+      } else if (input.type === 'range') {
+        input.value = current
+        output.textContent = Math.round(current * 100) / 100
+      } else {
+        input.value = current
+      }
+    })
+  }
+
+  /**
+   * 現在の値を定数と同じ形のオブジェクトとして書き出す
+   * パネルで扱わない項目（lookAt など）は元の定数の値のまま含める
+   * @return {Object<string, object>} 定数名をキーにしたオブジェクト
+   */
+  toParams () {
+    const params = {}
+    this.groups.forEach((group) => {
+      const param = Object.assign({}, group.param)
+      Object.keys(group.accessors).forEach((key) => {
+        param[key] = group.accessors[key].get()
+      })
+      params[group.name] = param
+    })
+    return params
+  }
+
+  /**
+   * toParams() の値を JSON にしてクリップボードにコピーする
+   * クリップボードが使えない（http で開いている、許可されていないなど）場合は
+   * params.json としてダウンロードさせる
+   * @return {Promise<void>}
+   */
+  async exportParams () {
+    const json = JSON.stringify(this.toParams(), null, 2)
+    if (navigator.clipboard != null) {
+      try {
+        await navigator.clipboard.writeText(json)
+        return
+      } catch (error) {
+        // 下のダウンロードに切り替える
+      }
+    }
+    download(new Blob([json], { type: 'application/json' }), 'params.json')
+  }
+
+  /**
+   * パネルを取り除く
+   */
+  dispose () {
+    if (this.element.parentNode != null) {
+      this.element.parentNode.removeChild(this.element)
+    }
+  }
+}
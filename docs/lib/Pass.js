@@ -23,6 +23,9 @@ class Pass {
 		// if set to true, the result of the pass is rendered to screen. This is set automatically by EffectComposer.
 		this.renderToScreen = false;
 
+		// size of the pass's render target relative to the composer, e.g. 0.5 for blur or glitch effects
+		this.resolutionScale = 1;
+
 	}
 
 	setSize( /* width, height */ ) {}
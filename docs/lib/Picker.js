@@ -0,0 +1,364 @@
+// Picker ---------------------------------------------------------------------
+// マウスやタッチで指しているメッシュを Raycaster で調べ、そのメッシュ（Object3D）
+// に pointerenter、pointerleave、click のイベントを発行するクラスです。
+//
+//   box.addEventListener('click', (event) => { ... })
+//
+// イベントは当たったメッシュから親に向かって順に発行されるので、Group に登録
+// すれば子のメッシュ全体のイベントを受け取れます。イベントには当たったメッシュ
+// （object）、InstancedMesh の場合はインスタンスの番号（instanceId）、Raycaster
+// の交差の情報（intersection）、元の PointerEvent（originalEvent）が含まれます。
+//
+// OrbitControls と同じ canvas で使えるように、ボタンを押してから離すまでに一定
+// 以上ポインターが動いた場合はドラッグとみなして click を発行しません。また、
+// ドラッグ中はホバーの状態を変えません。
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+
+/**
+ * 既定のオプション
+ */
+const DEFAULT_OPTIONS = {
+  highlight: null,   // ホバー中のメッシュに付ける色、null なら色を変えない
+  dragThreshold: 4,  // これ以上（CSS ピクセル）動いたらドラッグとみなす
+}
+
+/**
+ * 2 つの当たりが同じメッシュ（InstancedMesh なら同じインスタンス）かどうか
+ * @param {object|null} a - 当たったもの
+ * @param {object|null} b - 当たったもの
+ * @return {boolean}
+ */
+function isSameHit (a, b) {
+  return a !== null && b !== null && a.object === b.object && a.instanceId === b.instanceId
+}
+
+/**
+ * オブジェクトとその親がすべて表示されているかどうか
+ * @param {THREE.Object3D} object - 調べるオブジェクト
+ * @return {boolean}
+ */
+function isVisible (object) {
+  while (object !== null) {
+    if (object.visible === false) {
+      return false
+    }
+    object = object.parent
+  }
+  return true
+}
+
+/**
+ * 元のマテリアルの値を写し、ハイライトの色を付ける
+ * 自己発光色があればそれを、なければ基本色を変える
+ * @param {THREE.Material} material - 色を変えたマテリアル
+ * @param {THREE.Material} original - 元のマテリアル
+ * @param {THREE.ColorRepresentation} color - ハイライトの色
+ */
+function copyHighlight (material, original, color) {
+  material.copy(original)
+  if (material.emissive !== undefined) {
+    material.emissive.set(color)
+  } else if (material.color !== undefined) {
+    material.color.set(color)
+  }
+}
+
+/**
+ * ポインターで指したメッシュにイベントを発行するクラス
+ */
+export class Picker {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {THREE.Camera} camera - カメラ
+   * @param {HTMLElement} domElement - ポインターの操作を検出する要素（canvas）
+   * @param {Array<THREE.Object3D>} objects - 調べる対象（子孫も含む）
+   * @param {object} [options] - DEFAULT_OPTIONS を参照
+   */
+  constructor (camera, domElement, objects, options = {}) {
+    this.camera = camera
+    this.domElement = domElement
+    this.objects = objects
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+
+    this.raycaster = new THREE.Raycaster()
+    this.pointer = new THREE.Vector2() // 正規化デバイス座標でのポインターの位置
+    this.isPointerInside = false        // ポインターが要素の上にあるかどうか
+    this.isDragging = false             // ドラッグ中かどうか
+    this.downPosition = null            // ボタンを押したときの位置
+    this.downHit = null                 // ボタンを押したときに指していたもの
+    this.hovered = null                 // ホバー中の { object, instanceId, intersection }
+    this.view = null                    // 要素の一部だけを別のカメラで描いている場合の { camera, rect }
+
+    this.highlightMaterials = new Map() // 元のマテリアルと、色を変えたマテリアルとその元の version
+    this.originalMaterial = null        // ホバー中のメッシュの元のマテリアル
+    this.originalColor = new THREE.Color() // ホバー中のインスタンスの元の色
+
+    // リスナーは後から取り除けるように名前を付けて保持する
+    this.handlePointerMove = (pointerEvent) => {
+      this.setPointer(pointerEvent)
+      if (this.downPosition !== null) {
+        const dx = pointerEvent.clientX - this.downPosition.x
+        const dy = pointerEvent.clientY - this.downPosition.y
+        if (Math.hypot(dx, dy) >= this.options.dragThreshold) {
+          this.isDragging = true
+        }
+      }
+      if (this.isDragging === false) {
+        this.pick(pointerEvent)
+      }
+    }
+    this.handlePointerDown = (pointerEvent) => {
+      this.setPointer(pointerEvent)
+      this.downPosition = { x: pointerEvent.clientX, y: pointerEvent.clientY }
+      this.isDragging = false
+      this.downHit = this.pick(pointerEvent)
+    }
+    this.handlePointerUp = (pointerEvent) => {
+      if (this.downPosition === null) {
+        return
+      }
+      const wasDragging = this.isDragging
+      const downHit = this.downHit
+      this.downPosition = null
+      this.downHit = null
+      this.isDragging = false
+      if (wasDragging === true) {
+        return
+      }
+      // ドラッグでなければ、押したときと同じメッシュを離したときにクリックとする
+      this.setPointer(pointerEvent)
+      const hit = this.pick(pointerEvent)
+      if (hit !== null && isSameHit(hit, downHit) === true) {
+        this.dispatch('click', hit, pointerEvent)
+      }
+    }
+    this.handlePointerLeave = (pointerEvent) => {
+      this.isPointerInside = false
+      if (this.downPosition === null) {
+        this.setHovered(null, pointerEvent)
+      }
+    }
+
+    this.domElement.addEventListener('pointermove', this.handlePointerMove, false)
+    this.domElement.addEventListener('pointerdown', this.handlePointerDown, false)
+    this.domElement.addEventListener('pointerup', this.handlePointerUp, false)
+    this.domElement.addEventListener('pointerleave', this.handlePointerLeave, false)
+  }
+
+  /**
+   * PointerEvent の位置を正規化デバイス座標にして保持する
+   * @param {PointerEvent} pointerEvent - イベント
+   */
+  setPointer (pointerEvent) {
+    const rect = this.domElement.getBoundingClientRect()
+    this.pointer.x = ((pointerEvent.clientX - rect.left) / rect.width) * 2.0 - 1.0
+    this.pointer.y = -((pointerEvent.clientY - rect.top) / rect.height) * 2.0 + 1.0
+    this.isPointerInside = true
+    // ビューが設定されていれば、その領域の中での正規化デバイス座標に直す
+    if (this.view !== null) {
+      const { min, max } = this.view.rect
+      this.isPointerInside = this.view.rect.containsPoint(this.pointer)
+      this.pointer.x = ((this.pointer.x - min.x) / (max.x - min.x)) * 2.0 - 1.0
+      this.pointer.y = ((this.pointer.y - min.y) / (max.y - min.y)) * 2.0 - 1.0
+    }
+  }
+
+  /**
+   * 要素の一部の領域を別のカメラで描いている場合に、その領域とカメラでピッキングする
+   * ViewportManager がポインターの乗っているビューに合わせて呼び出す
+   * @param {THREE.Camera|null} camera - 領域のカメラ、null なら要素全体を this.camera で調べる
+   * @param {THREE.Box2} [rect] - 要素全体の正規化デバイス座標での領域
+   */
+  setView (camera, rect) {
+    this.view = camera !== null ? { camera: camera, rect: rect.clone() } : null
+  }
+
+  /**
+   * 現在のポインターの位置にあるメッシュを調べ、ホバーの状態を更新する
+   * @param {PointerEvent} [pointerEvent] - きっかけになったイベント
+   * @return {{object: THREE.Object3D, instanceId: number, intersection: object}|null}
+   */
+  pick (pointerEvent = null) {
+    // ビューの外を指している場合は何も指していないことにする
+    if (this.isPointerInside === false) {
+      this.setHovered(null, pointerEvent)
+      return null
+    }
+    this.raycaster.setFromCamera(this.pointer, this.view !== null ? this.view.camera : this.camera)
+    const intersections = this.raycaster.intersectObjects(this.objects, true)
+    // ヘルパーの線などには反応しないようにメッシュだけを対象にする
+    // 親が非表示のものも画面には映っていないので対象にしない
+    const intersection = intersections.find((i) => i.object.isMesh === true && isVisible(i.object) === true)
+    const hit = intersection !== undefined
+      ? { object: intersection.object, instanceId: intersection.instanceId, intersection: intersection }
+      : null
+    this.setHovered(hit, pointerEvent)
+    return hit
+  }
+
+  /**
+   * 毎フレームの更新処理
+   * ポインターが止まっていてもメッシュやカメラが動けば指しているものが変わるので、
+   * 描画ループから呼び出してホバーの状態を保つ
+   */
+  update () {
+    if (this.isPointerInside === true && this.isDragging === false) {
+      this.pick()
+    }
+    this.syncHighlight()
+  }
+
+  /**
+   * 色を変えたマテリアルを、元のマテリアルの現在の値に合わせる
+   * ParamPanel などで共有のマテリアルを変えても、ホバー中のメッシュに反映されるようにする
+   */
+  syncHighlight () {
+    if (this.originalMaterial === null) {
+      return
+    }
+    const original = this.originalMaterial
+    const entry = this.highlightMaterials.get(original)
+    copyHighlight(entry.material, original, this.options.highlight)
+    // シェーダーが変わる変更（flatShading など）は needsUpdate で伝わる
+    if (entry.version !== original.version) {
+      entry.material.needsUpdate = true
+      entry.version = original.version
+    }
+  }
+
+  /**
+   * ホバー中のメッシュを一時的に元のマテリアルに戻して関数を呼び出す
+   * serialize のように、シーンの中のマテリアルを調べる処理に使う
+   * @param {function(): *} callback - 呼び出す関数
+   * @return {*} callback の戻り値
+   */
+  withoutHighlight (callback) {
+    const hovered = this.hovered
+    if (hovered === null) {
+      return callback()
+    }
+    this.removeHighlight(hovered)
+    try {
+      return callback()
+    } finally {
+      this.addHighlight(hovered)
+    }
+  }
+
+  /**
+   * ホバー中のメッシュを切り替え、pointerleave と pointerenter を発行する
+   * @param {object|null} hit - 新しくホバーしたもの
+   * @param {PointerEvent} [pointerEvent] - きっかけになったイベント
+   */
+  setHovered (hit, pointerEvent = null) {
+    const current = this.hovered
+    if (isSameHit(current, hit) === true) {
+      // 同じものを指していれば交差の情報だけ更新する
+      this.hovered = hit
+      return
+    }
+    if (current === null && hit === null) {
+      return
+    }
+    if (current !== null) {
+      this.removeHighlight(current)
+      this.dispatch('pointerleave', current, pointerEvent)
+    }
+    this.hovered = hit
+    if (hit !== null) {
+      this.addHighlight(hit)
+      this.dispatch('pointerenter', hit, pointerEvent)
+    }
+  }
+
+  /**
+   * 当たったメッシュから親に向かって順にイベントを発行する
+   * @param {string} type - イベントの種類
+   * @param {object} hit - 当たったもの
+   * @param {PointerEvent} [pointerEvent] - 元のイベント
+   */
+  dispatch (type, hit, pointerEvent) {
+    let object = hit.object
+    while (object !== null) {
+      object.dispatchEvent({
+        type: type,
+        object: hit.object,
+        instanceId: hit.instanceId,
+        intersection: hit.intersection,
+        originalEvent: pointerEvent,
+      })
+      object = object.parent
+    }
+  }
+
+  /**
+   * ホバー中のメッシュの色を変える
+   * マテリアルは他のメッシュと共有されているので、色を変えたマテリアルに差し替える
+   * 差し替えたマテリアルは update のたびに元のマテリアルに合わせる
+   * InstancedMesh の場合は、そのインスタンスの色だけを変える
+   * @param {object} hit - 当たったもの
+   */
+  addHighlight (hit) {
+    if (this.options.highlight === null) {
+      return
+    }
+    const object = hit.object
+    if (object.isInstancedMesh === true && hit.instanceId !== undefined) {
+      // setColorAt が生成する instanceColor は 0（黒）で埋まっているので、
+      // 先に白で埋めたものを用意して、ほかのインスタンスが黒くならないようにする
+      if (object.instanceColor === null) {
+        const colors = new Float32Array(object.count * 3).fill(1.0)
+        object.instanceColor = new THREE.InstancedBufferAttribute(colors, 3)
+      }
+      object.getColorAt(hit.instanceId, this.originalColor)
+      object.setColorAt(hit.instanceId, new THREE.Color(this.options.highlight))
+      object.instanceColor.needsUpdate = true
+      return
+    }
+    const original = object.material
+    if (this.highlightMaterials.has(original) === false) {
+      this.highlightMaterials.set(original, { material: original.clone(), version: original.version })
+    }
+    this.originalMaterial = original
+    this.syncHighlight()
+    object.material = this.highlightMaterials.get(original).material
+  }
+
+  /**
+   * ホバー中のメッシュの色を元に戻す
+   * @param {object} hit - 当たったもの
+   */
+  removeHighlight (hit) {
+    if (this.options.highlight === null) {
+      return
+    }
+    const object = hit.object
+    if (object.isInstancedMesh === true && hit.instanceId !== undefined) {
+      object.setColorAt(hit.instanceId, this.originalColor)
+      object.instanceColor.needsUpdate = true
+      return
+    }
+    if (this.originalMaterial !== null) {
+      object.material = this.originalMaterial
+      this.originalMaterial = null
+    }
+  }
+
+  /**
+   * イベントリスナーを取り除き、色を変えたマテリアルを解放する
+   */
+  dispose () {
+    this.setHovered(null)
+    this.domElement.removeEventListener('pointermove', this.handlePointerMove, false)
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown, false)
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp, false)
+    this.domElement.removeEventListener('pointerleave', this.handlePointerLeave, false)
+    this.highlightMaterials.forEach((entry) => {
+      entry.material.dispose()
+    })
+    this.highlightMaterials.clear()
+  }
+}
@@ -0,0 +1,450 @@
+// SceneDescription -----------------------------------------------------------
+// カメラ、レンダラーの背景色、ライト、マテリアル、メッシュを JSON で記述するた
+// めのモジュールです。
+// validateScene で形式を検査し、buildScene で three.js のオブジェクトを生成し、
+// serializeScene で調整後のオブジェクトから再び JSON に戻せます。
+//
+// {
+//   "camera": { "fovy": 60, "near": 0.1, "far": 10, "position": [0, 2, 5], "lookAt": [0, 0, 0] },
+//   "renderer": { "clearColor": "#0b0114" },
+//   "lights": [
+//     { "type": "directional", "color": "#ffffff", "intensity": 1, "position": [1, 1, 1] },
+//     { "type": "ambient", "color": "#ffffff", "intensity": 0.2 }
+//   ],
+//   "materials": {
+//     "pink": { "type": "phong", "color": "#d74172" }
+//   },
+//   "meshes": [
+//     { "geometry": { "type": "box", "args": [1, 1, 1] }, "material": "pink", "position": [0, 0, 0] }
+//   ]
+// }
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+
+/**
+ * ライトの種類と、種類ごとに使える項目
+ */
+const LIGHT_TYPES = {
+  ambient: { constructor: THREE.AmbientLight, keys: [] },
+  directional: { constructor: THREE.DirectionalLight, keys: ['position'] },
+  hemisphere: { constructor: THREE.HemisphereLight, keys: ['groundColor', 'position'] },
+  point: { constructor: THREE.PointLight, keys: ['position', 'distance', 'decay'] },
+  spot: { constructor: THREE.SpotLight, keys: ['position', 'distance', 'decay', 'angle', 'penumbra'] },
+}
+
+/**
+ * マテリアルの種類
+ */
+const MATERIAL_TYPES = {
+  basic: THREE.MeshBasicMaterial,
+  lambert: THREE.MeshLambertMaterial,
+  phong: THREE.MeshPhongMaterial,
+  standard: THREE.MeshStandardMaterial,
+  toon: THREE.MeshToonMaterial,
+  normal: THREE.MeshNormalMaterial,
+}
+
+/**
+ * マテリアルに指定できる項目と値の種類
+ */
+const MATERIAL_KEYS = {
+  color: 'color',
+  emissive: 'color',
+  specular: 'color',
+  shininess: 'number',
+  roughness: 'number',
+  metalness: 'number',
+  opacity: 'number',
+  transparent: 'boolean',
+  wireframe: 'boolean',
+  flatShading: 'boolean',
+}
+
+/**
+ * ジオメトリの種類と、コンストラクタの引数の順番
+ */
+const GEOMETRY_TYPES = {
+  box: { constructor: THREE.BoxGeometry, args: ['width', 'height', 'depth', 'widthSegments', 'heightSegments', 'depthSegments'] },
+  sphere: { constructor: THREE.SphereGeometry, args: ['radius', 'widthSegments', 'heightSegments', 'phiStart', 'phiLength', 'thetaStart', 'thetaLength'] },
+  torus: { constructor: THREE.TorusGeometry, args: ['radius', 'tube', 'radialSegments', 'tubularSegments', 'arc'] },
+  cone: { constructor: THREE.ConeGeometry, args: ['radius', 'height', 'radialSegments', 'heightSegments', 'openEnded', 'thetaStart', 'thetaLength'] },
+  cylinder: { constructor: THREE.CylinderGeometry, args: ['radiusTop', 'radiusBottom', 'height', 'radialSegments', 'heightSegments', 'openEnded', 'thetaStart', 'thetaLength'] },
+  plane: { constructor: THREE.PlaneGeometry, args: ['width', 'height', 'widthSegments', 'heightSegments'] },
+}
+
+/**
+ * シーン記述の検査で見つかった誤りをまとめて伝えるためのエラー
+ */
+export class SceneDescriptionError extends Error {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {Array<string>} errors - 誤りの一覧（どの項目かを表すパスから始まる）
+   */
+  constructor (errors) {
+    super(`Invalid scene description:\n  ${errors.join('\n  ')}`)
+    this.name = 'SceneDescriptionError'
+    this.errors = errors
+  }
+}
+
+/**
+ * 値の検査をまとめて行うための小さなヘルパー
+ * 誤りはその場で投げずに溜めておき、最後にまとめて報告する
+ */
+class Checker {
+  constructor () {
+    this.errors = []
+  }
+
+  fail (path, message) {
+    this.errors.push(`${path}: ${message}`)
+  }
+
+  isObject (path, value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      this.fail(path, `expected an object but got ${describe(value)}`)
+      return false
+    }
+    return true
+  }
+
+  number (path, value) {
+    if (typeof value !== 'number' || Number.isFinite(value) === false) {
+      this.fail(path, `expected a number but got ${describe(value)}`)
+    }
+  }
+
+  boolean (path, value) {
+    if (typeof value !== 'boolean') {
+      this.fail(path, `expected true or false but got ${describe(value)}`)
+    }
+  }
+
+  color (path, value) {
+    // 数値（0xffffff）と CSS の色の文字列のどちらでもよい
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+      return
+    }
+    if (typeof value === 'string' && /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i.test(value)) {
+      return
+    }
+    this.fail(path, `expected a color such as "#ff0000" or 0xff0000 but got ${describe(value)}`)
+  }
+
+  vector3 (path, value) {
+    if (Array.isArray(value) === false || value.length !== 3 || value.some((v) => typeof v !== 'number' || Number.isFinite(v) === false)) {
+      this.fail(path, `expected an array of 3 numbers but got ${describe(value)}`)
+    }
+  }
+
+  oneOf (path, value, choices) {
+    if (choices.includes(value) === false) {
+      this.fail(path, `expected one of ${choices.map((c) => `"${c}"`).join(', ')} but got ${describe(value)}`)
+      return false
+    }
+    return true
+  }
+
+  unknownKeys (path, value, keys) {
+    Object.keys(value).forEach((key) => {
+      if (keys.includes(key) === false) {
+        this.fail(`${path}.${key}`, 'unknown property')
+      }
+    })
+  }
+}
+
+/**
+ * エラーメッセージに載せるための値の説明
+ * @param {*} value - 値
+ * @return {string}
+ */
+function describe (value) {
+  if (value === undefined) {
+    return 'nothing'
+  }
+  const json = JSON.stringify(value)
+  return json !== undefined && json.length <= 40 ? json : typeof value
+}
+
+/**
+ * シーン記述を検査する
+ * 誤りがあれば、すべての誤りを列挙した SceneDescriptionError を投げる
+ * @param {object} description - シーン記述
+ * @return {object} 検査済みのシーン記述（引数と同じもの）
+ */
+export function validateScene (description) {
+  const check = new Checker()
+
+  if (check.isObject('scene', description) === false) {
+    throw new SceneDescriptionError(check.errors)
+  }
+  check.unknownKeys('scene', description, ['camera', 'renderer', 'lights', 'materials', 'meshes'])
+
+  // カメラ
+  if (description.camera !== undefined && check.isObject('scene.camera', description.camera)) {
+    const camera = description.camera
+    check.unknownKeys('scene.camera', camera, ['fovy', 'near', 'far', 'position', 'lookAt'])
+    for (const key of ['fovy', 'near', 'far']) {
+      if (camera[key] !== undefined) check.number(`scene.camera.${key}`, camera[key])
+    }
+    for (const key of ['position', 'lookAt']) {
+      if (camera[key] !== undefined) check.vector3(`scene.camera.${key}`, camera[key])
+    }
+  }
+
+  // レンダラー
+  if (description.renderer !== undefined && check.isObject('scene.renderer', description.renderer)) {
+    check.unknownKeys('scene.renderer', description.renderer, ['clearColor'])
+    if (description.renderer.clearColor !== undefined) {
+      check.color('scene.renderer.clearColor', description.renderer.clearColor)
+    }
+  }
+
+  // ライト
+  if (description.lights !== undefined) {
+    if (Array.isArray(description.lights) === false) {
+      check.fail('scene.lights', `expected an array but got ${describe(description.lights)}`)
+    } else {
+      description.lights.forEach((light, index) => {
+        const path = `scene.lights[${index}]`
+        if (check.isObject(path, light) === false || check.oneOf(`${path}.type`, light.type, Object.keys(LIGHT_TYPES)) === false) {
+          return
+        }
+        check.unknownKeys(path, light, ['type', 'name', 'color', 'intensity'].concat(LIGHT_TYPES[light.type].keys))
+        if (light.color !== undefined) check.color(`${path}.color`, light.color)
+        if (light.groundColor !== undefined) check.color(`${path}.groundColor`, light.groundColor)
+        if (light.position !== undefined) check.vector3(`${path}.position`, light.position)
+        for (const key of ['intensity', 'distance', 'decay', 'angle', 'penumbra']) {
+          if (light[key] !== undefined) check.number(`${path}.${key}`, light[key])
+        }
+      })
+    }
+  }
+
+  // マテリアル
+  const materialNames = []
+  if (description.materials !== undefined && check.isObject('scene.materials', description.materials)) {
+    Object.keys(description.materials).forEach((name) => {
+      const material = description.materials[name]
+      const path = `scene.materials.${name}`
+      materialNames.push(name)
+      if (check.isObject(path, material) === false || check.oneOf(`${path}.type`, material.type, Object.keys(MATERIAL_TYPES)) === false) {
+        return
+      }
+      check.unknownKeys(path, material, ['type'].concat(Object.keys(MATERIAL_KEYS)))
+      Object.keys(MATERIAL_KEYS).forEach((key) => {
+        if (material[key] !== undefined) check[MATERIAL_KEYS[key]](`${path}.${key}`, material[key])
+      })
+    })
+  }
+
+  // メッシュ
+  if (description.meshes !== undefined) {
+    if (Array.isArray(description.meshes) === false) {
+      check.fail('scene.meshes', `expected an array but got ${describe(description.meshes)}`)
+    } else {
+      description.meshes.forEach((mesh, index) => {
+        const path = `scene.meshes[${index}]`
+        if (check.isObject(path, mesh) === false) {
+          return
+        }
+        check.unknownKeys(path, mesh, ['name', 'geometry', 'material', 'position', 'rotation', 'scale'])
+        if (check.isObject(`${path}.geometry`, mesh.geometry) && check.oneOf(`${path}.geometry.type`, mesh.geometry.type, Object.keys(GEOMETRY_TYPES))) {
+          check.unknownKeys(`${path}.geometry`, mesh.geometry, ['type', 'args'])
+          const args = mesh.geometry.args
+          if (args !== undefined) {
+            const max = GEOMETRY_TYPES[mesh.geometry.type].args.length
+            if (Array.isArray(args) === false || args.length > max || args.some((v) => typeof v !== 'number' && typeof v !== 'boolean')) {
+              check.fail(`${path}.geometry.args`, `expected an array of up to ${max} numbers but got ${describe(args)}`)
+            }
+          }
+        }
+        if (materialNames.includes(mesh.material) === false) {
+          check.fail(`${path}.material`, `expected the name of a material in scene.materials but got ${describe(mesh.material)}`)
+        }
+        for (const key of ['position', 'rotation', 'scale']) {
+          if (mesh[key] !== undefined) check.vector3(`${path}.${key}`, mesh[key])
+        }
+      })
+    }
+  }
+
+  if (check.errors.length > 0) {
+    throw new SceneDescriptionError(check.errors)
+  }
+  return description
+}
+
+/**
+ * シーン記述から three.js のオブジェクトを生成する
+ * 同じ引数のジオメトリはメッシュ間で共有する
+ * @param {object} description - シーン記述
+ * @return {{camera: THREE.PerspectiveCamera, lookAt: THREE.Vector3, clearColor: THREE.Color, lights: Array<THREE.Light>, materials: Object<string, THREE.Material>, meshes: Array<THREE.Mesh>}}
+ */
+export function buildScene (description) {
+  validateScene(description)
+
+  // カメラ（アスペクト比は描画領域の大きさが決まってから設定する）
+  const cameraParam = Object.assign({
+    fovy: 60,
+    near: 0.1,
+    far: 10.0,
+    position: [0.0, 0.0, 5.0],
+    lookAt: [0.0, 0.0, 0.0],
+  }, description.camera)
+  const camera = new THREE.PerspectiveCamera(cameraParam.fovy, 1.0, cameraParam.near, cameraParam.far)
+  camera.position.fromArray(cameraParam.position)
+  const lookAt = new THREE.Vector3().fromArray(cameraParam.lookAt)
+  camera.lookAt(lookAt)
+
+  // レンダラーの背景色
+  const renderer = description.renderer || {}
+  const clearColor = new THREE.Color(renderer.clearColor !== undefined ? renderer.clearColor : 0x000000)
+
+  // ライト
+  const lights = (description.lights || []).map((param) => {
+    const type = LIGHT_TYPES[param.type]
+    const light = param.type === 'hemisphere'
+      ? new type.constructor(param.color, param.groundColor, param.intensity)
+      : new type.constructor(param.color, param.intensity)
+    if (param.name !== undefined) light.name = param.name
+    if (param.position !== undefined) light.position.fromArray(param.position)
+    for (const key of ['distance', 'decay', 'angle', 'penumbra']) {
+      if (param[key] !== undefined) light[key] = param[key]
+    }
+    return light
+  })
+
+  // マテリアル
+  const materials = {}
+  Object.keys(description.materials || {}).forEach((name) => {
+    const param = Object.assign({}, description.materials[name])
+    const type = MATERIAL_TYPES[param.type]
+    delete param.type
+    materials[name] = new type(param)
+    materials[name].name = name
+  })
+
+  // メッシュ
+  const geometries = new Map()
+  const meshes = (description.meshes || []).map((param) => {
+    const key = JSON.stringify(param.geometry)
+    if (geometries.has(key) === false) {
+      const type = GEOMETRY_TYPES[param.geometry.type]
+      geometries.set(key, new type.constructor(...(param.geometry.args || [])))
+    }
+    const mesh = new THREE.Mesh(geometries.get(key), materials[param.material])
+    if (param.name !== undefined) mesh.name = param.name
+    if (param.position !== undefined) mesh.position.fromArray(param.position)
+    if (param.rotation !== undefined) mesh.rotation.fromArray(param.rotation)
+    if (param.scale !== undefined) mesh.scale.fromArray(param.scale)
+    return mesh
+  })
+
+  return { camera, lookAt, clearColor, lights, materials, meshes }
+}
+
+/**
+ * three.js のオブジェクトからシーン記述を生成する
+ * @param {object} parts
+ * @param {THREE.PerspectiveCamera} [parts.camera] - カメラ
+ * @param {THREE.Vector3} [parts.lookAt] - カメラの注視点（OrbitControls の target など）
+ * @param {THREE.Color} [parts.clearColor] - レンダラーの背景色
+ * @param {Array<THREE.Light>} [parts.lights] - ライト
+ * @param {Object<string, THREE.Material>} [parts.materials] - 名前をキーにしたマテリアル
+ * @param {Array<THREE.Mesh>} [parts.meshes] - メッシュ（マテリアルは materials に含まれている必要がある）
+ * @return {object} シーン記述
+ */
+export function serializeScene (parts) {
+  const description = {}
+
+  if (parts.camera != null) {
+    const camera = parts.camera
+    description.camera = {
+      fovy: camera.fov,
+      near: camera.near,
+      far: camera.far,
+      position: camera.position.toArray(),
+    }
+    if (parts.lookAt != null) {
+      description.camera.lookAt = parts.lookAt.toArray()
+    }
+  }
+
+  if (parts.clearColor != null) {
+    description.renderer = { clearColor: `#${parts.clearColor.getHexString()}` }
+  }
+
+  if (parts.lights != null) {
+    description.lights = parts.lights.map((light) => {
+      const type = Object.keys(LIGHT_TYPES).find((key) => light instanceof LIGHT_TYPES[key].constructor)
+      if (type === undefined) {
+        throw new Error(`serializeScene: unsupported light type "${light.type}".`)
+      }
+      const param = { type: type, color: `#${light.color.getHexString()}`, intensity: light.intensity }
+      if (light.name !== '') param.name = light.name
+      LIGHT_TYPES[type].keys.forEach((key) => {
+        if (key === 'position') {
+          param.position = light.position.toArray()
+        } else if (key === 'groundColor') {
+          param.groundColor = `#${light.groundColor.getHexString()}`
+        } else {
+          param[key] = light[key]
+        }
+      })
+      return param
+    })
+  }
+
+  // マテリアルは名前で参照するので、逆引きできるようにしておく
+  const materialNames = new Map()
+  if (parts.materials != null) {
+    description.materials = {}
+    Object.keys(parts.materials).forEach((name) => {
+      const material = parts.materials[name]
+      const type = Object.keys(MATERIAL_TYPES).find((key) => material.constructor === MATERIAL_TYPES[key])
+      if (type === undefined) {
+        throw new Error(`serializeScene: unsupported material type "${material.type}" for "${name}".`)
+      }
+      const param = { type: type }
+      Object.keys(MATERIAL_KEYS).forEach((key) => {
+        const value = material[key]
+        if (value === undefined) {
+          return
+        }
+        param[key] = MATERIAL_KEYS[key] === 'color' ? `#${value.getHexString()}` : value
+      })
+      description.materials[name] = param
+      materialNames.set(material, name)
+    })
+  }
+
+  if (parts.meshes != null) {
+    description.meshes = parts.meshes.map((mesh) => {
+      const type = Object.keys(GEOMETRY_TYPES).find((key) => mesh.geometry instanceof GEOMETRY_TYPES[key].constructor)
+      if (type === undefined) {
+        throw new Error(`serializeScene: unsupported geometry type "${mesh.geometry.type}".`)
+      }
+      if (materialNames.has(mesh.material) === false) {
+        throw new Error('serializeScene: every mesh material must be listed in parts.materials.')
+      }
+      const param = {
+        geometry: {
+          type: type,
+          args: GEOMETRY_TYPES[type].args.map((key) => mesh.geometry.parameters[key]),
+        },
+        material: materialNames.get(mesh.material),
+        position: mesh.position.toArray(),
+        rotation: mesh.rotation.toArray().slice(0, 3),
+        scale: mesh.scale.toArray(),
+      }
+      if (mesh.name !== '') param.name = mesh.name
+      return param
+    })
+  }
+
+  return description
+}
@@ -0,0 +1,169 @@
+// SceneOptimizer -------------------------------------------------------------
+// 同じジオメトリと同じマテリアルを使うメッシュをまとめて InstancedMesh にする
+// ためのモジュールです。
+// メッシュは 1 つにつき 1 回のドローコールが必要なので、100 個以上のボックスを
+// 並べるとその数だけ描画の命令が発生します。InstancedMesh にまとめると、同じ
+// 組み合わせのメッシュは 1 回のドローコールで描画できます。
+//
+// まとめた後も 1 つ 1 つのボックスを動かしたり色を変えたりできるように、元の
+// メッシュからバッチとインスタンスの番号を引けるようにしておきます。
+//
+//   const optimizer = instanceMeshes(this.scene)
+//   optimizer.setPosition(voxel, 0.0, 1.0, 0.0)
+//   optimizer.setColor(voxel, 0xff0000)
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+
+/**
+ * InstancedMesh にまとめたメッシュの対応を管理するクラス
+ */
+export class InstancedBatches {
+  /**
+   * コンストラクタ
+   * @constructor
+   */
+  constructor () {
+    this.batches = []          // 生成した InstancedMesh
+    this.entries = new Map()   // 元のメッシュと { batch, index } の対応
+    this.matrix = new THREE.Matrix4()
+  }
+
+  /**
+   * 元のメッシュがまとめられた先を返す
+   * @param {THREE.Mesh} mesh - 元のメッシュ
+   * @return {{batch: THREE.InstancedMesh, index: number}|undefined}
+   */
+  get (mesh) {
+    return this.entries.get(mesh)
+  }
+
+  /**
+   * 元のメッシュの position、rotation、scale を変更したあとで、インスタンスに反映する
+   * 元のメッシュはシーンから外れているので、その親の行列を使って変換する
+   * @param {THREE.Mesh} mesh - 元のメッシュ
+   */
+  update (mesh) {
+    const entry = this.getEntry(mesh)
+    mesh.updateMatrix()
+    this.matrix.multiplyMatrices(entry.parentMatrix, mesh.matrix)
+    entry.batch.setMatrixAt(entry.index, this.matrix)
+    entry.batch.instanceMatrix.needsUpdate = true
+    // 範囲が変わるとピッキングやカリングがずれるので計算し直す
+    entry.batch.boundingSphere = null
+  }
+
+  /**
+   * インスタンスの位置を変更する
+   * @param {THREE.Mesh} mesh - 元のメッシュ
+   * @param {number} x - X 座標
+   * @param {number} y - Y 座標
+   * @param {number} z - Z 座標
+   */
+  setPosition (mesh, x, y, z) {
+    mesh.position.set(x, y, z)
+    this.update(mesh)
+  }
+
+  /**
+   * インスタンスの色を変更する（マテリアルの色に掛け合わされる）
+   * @param {THREE.Mesh} mesh - 元のメッシュ
+   * @param {THREE.ColorRepresentation} color - 色
+   */
+  setColor (mesh, color) {
+    const entry = this.getEntry(mesh)
+    const batch = entry.batch
+    // setColorAt が生成する instanceColor は 0（黒）で埋まっているので、
+    // 先に白で埋めたものを用意して、ほかのインスタンスが黒くならないようにする
+    if (batch.instanceColor === null) {
+      const colors = new Float32Array(batch.count * 3).fill(1.0)
+      batch.instanceColor = new THREE.InstancedBufferAttribute(colors, 3)
+    }
+    batch.setColorAt(entry.index, new THREE.Color(color))
+    batch.instanceColor.needsUpdate = true
+  }
+
+  /**
+   * 元のメッシュを、そのバッチとインスタンスの番号から探す（ピッキングの結果から引く場合など）
+   * @param {THREE.InstancedMesh} batch - バッチ
+   * @param {number} index - インスタンスの番号
+   * @return {THREE.Mesh|undefined}
+   */
+  findMesh (batch, index) {
+    return batch.userData.sources !== undefined ? batch.userData.sources[index] : undefined
+  }
+
+  /**
+   * 対応を取得し、なければエラーにする
+   * @param {THREE.Mesh} mesh - 元のメッシュ
+   * @return {object}
+   */
+  getEntry (mesh) {
+    const entry = this.entries.get(mesh)
+    if (entry === undefined) {
+      throw new Error('InstancedBatches: the mesh was not instanced.')
+    }
+    return entry
+  }
+}
+
+/**
+ * シーンの中から同じジオメトリとマテリアルを使うメッシュを探し、InstancedMesh にまとめる
+ * 元のメッシュは親から外され、代わりに InstancedMesh が root に追加される
+ * 配列のマテリアルを使うメッシュや、minCount に満たない組み合わせはそのまま残す
+ * 非表示のメッシュ（親が非表示のものも含む）はまとめると表示されてしまうので、そのまま残す
+ * @param {THREE.Object3D} root - 探す対象
+ * @param {object} [options]
+ * @param {number} [options.minCount=2] - まとめるのに必要なメッシュの数
+ * @return {InstancedBatches}
+ */
+export function instanceMeshes (root, options = {}) {
+  const minCount = options.minCount !== undefined ? options.minCount : 2
+  const batches = new InstancedBatches()
+
+  // ジオメトリとマテリアルの組み合わせごとにメッシュを集める
+  const groups = new Map()
+  root.updateMatrixWorld(true)
+  root.traverseVisible((object) => {
+    if (object.isMesh !== true || object.isInstancedMesh === true || object.isSkinnedMesh === true ||
+      Array.isArray(object.material) === true) {
+      return
+    }
+    const key = `${object.geometry.uuid}/${object.material.uuid}`
+    if (groups.has(key) === false) {
+      groups.set(key, [])
+    }
+    groups.get(key).push(object)
+  })
+
+  // root から見た行列を求めるために逆行列を用意する
+  const rootInverse = new THREE.Matrix4().copy(root.matrixWorld).invert()
+
+  groups.forEach((meshes) => {
+    if (meshes.length < minCount) {
+      return
+    }
+    const { geometry, material } = meshes[0]
+    const batch = new THREE.InstancedMesh(geometry, material, meshes.length)
+    batch.name = `${material.name || material.type}.instances`
+    batch.userData.sources = meshes
+
+    meshes.forEach((mesh, index) => {
+      // 元の親の行列を root から見た行列として覚えておく
+      const parentMatrix = new THREE.Matrix4()
+      if (mesh.parent !== null) {
+        parentMatrix.multiplyMatrices(rootInverse, mesh.parent.matrixWorld)
+      }
+      batches.entries.set(mesh, { batch, index, parentMatrix })
+      batches.update(mesh)
+      if (mesh.parent !== null) {
+        mesh.parent.remove(mesh)
+      }
+    })
+
+    root.add(batch)
+    batches.batches.push(batch)
+  })
+
+  return batches
+}
@@ -0,0 +1,113 @@
+import {
+	ACESFilmicToneMapping,
+	LinearToneMapping,
+	NoToneMapping,
+	ReinhardToneMapping,
+	ShaderMaterial,
+	UniformsUtils
+} from './three.module.js';
+import { Pass, FullScreenQuad } from './Pass.js';
+import { ToneMappingShader } from './ToneMappingShader.js';
+
+// three.js has no constant for AgX in this release, later releases use the same value
+
+const AgXToneMapping = 6;
+
+const SUPPORTED = [ NoToneMapping, LinearToneMapping, ReinhardToneMapping, ACESFilmicToneMapping, AgXToneMapping ];
+
+/**
+ * Final pass for an HDR composer: applies exposure and a tone mapping curve to
+ * the linear input, then writes sRGB. Add it last, after every effect that
+ * should work on linear values.
+ */
+class ToneMappingPass extends Pass {
+
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.toneMapping=ACESFilmicToneMapping] - NoToneMapping, LinearToneMapping, ReinhardToneMapping, ACESFilmicToneMapping or AgXToneMapping
+	 * @param {number} [options.exposure=1]
+	 * @param {boolean} [options.sRGBOutput=true] - encode the result as sRGB
+	 */
+	constructor( options = {} ) {
+
+		super();
+
+		const shader = ToneMappingShader;
+
+		this.uniforms = UniformsUtils.clone( shader.uniforms );
+
+		this.material = new ShaderMaterial( {
+
+			defines: Object.assign( {}, shader.defines ),
+			uniforms: this.uniforms,
+			vertexShader: shader.vertexShader,
+			fragmentShader: shader.fragmentShader,
+			toneMapped: false
+
+		} );
+
+		this.fsQuad = new FullScreenQuad( this.material );
+
+		this.toneMapping = options.toneMapping !== undefined ? options.toneMapping : ACESFilmicToneMapping;
+		this.exposure = options.exposure !== undefined ? options.exposure : 1.0;
+		this.sRGBOutput = options.sRGBOutput !== undefined ? options.sRGBOutput : true;
+
+	}
+
+	render( renderer, writeBuffer, readBuffer /*, deltaTime, maskActive */ ) {
+
+		this._updateDefines();
+
+		this.uniforms[ 'tDiffuse' ].value = readBuffer.texture;
+		this.uniforms[ 'exposure' ].value = this.exposure;
+
+		if ( this.renderToScreen ) {
+
+			renderer.setRenderTarget( null );
+			this.fsQuad.render( renderer );
+
+		} else {
+
+			renderer.setRenderTarget( writeBuffer );
+			if ( this.clear ) renderer.clear();
+			this.fsQuad.render( renderer );
+
+		}
+
+	}
+
+	_updateDefines() {
+
+		let toneMapping = this.toneMapping;
+
+		if ( SUPPORTED.includes( toneMapping ) === false ) {
+
+			console.warn( 'THREE.ToneMappingPass: Unsupported tone mapping ' + toneMapping + ', using LinearToneMapping.' );
+			toneMapping = this.toneMapping = LinearToneMapping;
+
+		}
+
+		const defines = this.material.defines;
+		const sRGBOutput = this.sRGBOutput ? 1 : 0;
+
+		if ( defines[ 'TONE_MAPPING' ] !== toneMapping || defines[ 'SRGB_OUTPUT' ] !== sRGBOutput ) {
+
+			defines[ 'TONE_MAPPING' ] = toneMapping;
+			defines[ 'SRGB_OUTPUT' ] = sRGBOutput;
+			this.material.needsUpdate = true;
+
+		}
+
+	}
+
+	dispose() {
+
+		this.material.dispose();
+
+		this.fsQuad.dispose();
+
+	}
+
+}
+
+export { ToneMappingPass, AgXToneMapping };
@@ -0,0 +1,168 @@
+/**
+ * Maps linear HDR color to display range and encodes it as sRGB.
+ *
+ * TONE_MAPPING selects the curve and uses the values of the three.js constants:
+ * 0 none, 1 linear (exposure only), 2 Reinhard, 4 ACES filmic and 6 AgX.
+ * The functions are prefixed so they don't clash with the renderer's own tone
+ * mapping chunk.
+ */
+
+const ToneMappingShader = {
+
+	defines: {
+
+		'TONE_MAPPING': 4,
+		'SRGB_OUTPUT': 1
+
+	},
+
+	uniforms: {
+
+		'tDiffuse': { value: null },
+		'exposure': { value: 1.0 }
+
+	},
+
+	vertexShader: /* glsl */`
+
+		varying vec2 vUv;
+
+		void main() {
+
+			vUv = uv;
+			gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+
+		}`,
+
+	fragmentShader: /* glsl */`
+
+		uniform float exposure;
+
+		uniform sampler2D tDiffuse;
+
+		varying vec2 vUv;
+
+		vec3 tmReinhard( vec3 color ) {
+
+			return color / ( vec3( 1.0 ) + color );
+
+		}
+
+		// ACES filmic fit by Stephen Hill, as used by the renderer's ACESFilmicToneMapping
+
+		vec3 tmRRTAndODTFit( vec3 v ) {
+
+			vec3 a = v * ( v + 0.0245786 ) - 0.000090537;
+			vec3 b = v * ( 0.983729 * v + 0.4329510 ) + 0.238081;
+			return a / b;
+
+		}
+
+		vec3 tmACESFilmic( vec3 color ) {
+
+			const mat3 inputMatrix = mat3(
+				vec3( 0.59719, 0.07600, 0.02840 ),
+				vec3( 0.35458, 0.90834, 0.13383 ),
+				vec3( 0.04823, 0.01566, 0.83777 )
+			);
+
+			const mat3 outputMatrix = mat3(
+				vec3( 1.60475, - 0.10208, - 0.00327 ),
+				vec3( - 0.53108, 1.10813, - 0.07276 ),
+				vec3( - 0.07367, - 0.00605, 1.07602 )
+			);
+
+			// the fit expects the exposure of the original RRT
+			color = inputMatrix * ( color / 0.6 );
+			color = tmRRTAndODTFit( color );
+			return outputMatrix * color;
+
+		}
+
+		// AgX by Troy Sobotka, with the polynomial sigmoid from
+		// https://iolite-engine.com/blog_posts/minimal_agx_implementation
+
+		vec3 tmAgXContrast( vec3 x ) {
+
+			vec3 x2 = x * x;
+			vec3 x4 = x2 * x2;
+			return 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4 - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
+
+		}
+
+		vec3 tmAgX( vec3 color ) {
+
+			const mat3 inset = mat3(
+				vec3( 0.842479062253094, 0.0423282422610123, 0.0423756549057051 ),
+				vec3( 0.0784335999999992, 0.878468636469772, 0.0784336 ),
+				vec3( 0.0792237451477643, 0.0791661274605434, 0.879142973793104 )
+			);
+
+			const mat3 outset = mat3(
+				vec3( 1.19687900512017, - 0.0528968517574562, - 0.0529716355144438 ),
+				vec3( - 0.0980208811401368, 1.15190312990417, - 0.0980434501171241 ),
+				vec3( - 0.0990297440797205, - 0.0989611768448433, 1.15107367264116 )
+			);
+
+			const float minEv = - 12.47393;
+			const float maxEv = 4.026069;
+
+			color = inset * color;
+			color = clamp( log2( max( color, vec3( 1e-10 ) ) ), minEv, maxEv );
+			color = ( color - minEv ) / ( maxEv - minEv );
+			color = tmAgXContrast( color );
+			color = outset * color;
+
+			// the curve produces display values, go back to linear for the sRGB step
+			return pow( max( color, vec3( 0.0 ) ), vec3( 2.2 ) );
+
+		}
+
+		vec3 tmLinearToSRGB( vec3 color ) {
+
+			vec3 low = color * 12.92;
+			vec3 high = 1.055 * pow( color, vec3( 1.0 / 2.4 ) ) - 0.055;
+			return mix( high, low, vec3( lessThanEqual( color, vec3( 0.0031308 ) ) ) );
+
+		}
+
+		void main() {
+
+			vec4 texel = texture2D( tDiffuse, vUv );
+			vec3 color = texel.rgb;
+
+			#if TONE_MAPPING != 0
+
+				color *= exposure;
+
+			#endif
+
+			#if TONE_MAPPING == 2
+
+				color = tmReinhard( color );
+
+			#elif TONE_MAPPING == 4
+
+				color = tmACESFilmic( color );
+
+			#elif TONE_MAPPING == 6
+
+				color = tmAgX( color );
+
+			#endif
+
+			color = clamp( color, 0.0, 1.0 );
+
+			#if SRGB_OUTPUT == 1
+
+				color = tmLinearToSRGB( color );
+
+			#endif
+
+			gl_FragColor = vec4( color, texel.a );
+
+		}`
+
+};
+
+export { ToneMappingShader };
@@ -0,0 +1,102 @@
+// 'VOX ' as a little-endian uint32
+const VOX_MAGIC = 542658390;
+
+/**
+ * Writes a MagicaVoxel file from a chunk in the same shape VOXLoader.parse()
+ * returns, so a loaded model can be edited and written back.
+ */
+class VOXExporter {
+
+	/**
+	 * @param {Object} chunk
+	 * @param {{x: number, y: number, z: number}} chunk.size - model size, each axis at most 256
+	 * @param {ArrayLike<number>} chunk.data - packed voxels ( x, y, z, colorIndex per voxel ), colorIndex 1 - 255
+	 * @param {Array<number>} chunk.palette - palette[ colorIndex ] is an 0xAABBGGRR color
+	 * @return {ArrayBuffer}
+	 */
+	parse( chunk ) {
+
+		const size = chunk.size;
+		const data = chunk.data;
+		const palette = chunk.palette;
+
+		if ( size.x > 256 || size.y > 256 || size.z > 256 ) {
+
+			throw new Error( 'THREE.VOXExporter: Models are limited to 256 voxels per axis.' );
+
+		}
+
+		if ( data.length % 4 !== 0 ) {
+
+			throw new Error( 'THREE.VOXExporter: Voxel data must hold 4 bytes per voxel.' );
+
+		}
+
+		const numVoxels = data.length / 4;
+
+		// every chunk has a 12 byte header: id, content size and children size
+
+		const sizeBytes = 12 + 12;
+		const xyziBytes = 12 + 4 + numVoxels * 4;
+		const rgbaBytes = 12 + 256 * 4;
+		const mainChildren = sizeBytes + xyziBytes + rgbaBytes;
+
+		const buffer = new ArrayBuffer( 8 + 12 + mainChildren );
+		const view = new DataView( buffer );
+
+		let i = 0;
+
+		function writeHeader( id, contentSize, childrenSize ) {
+
+			for ( let j = 0; j < 4; j ++ ) view.setUint8( i + j, id.charCodeAt( j ) );
+
+			view.setUint32( i + 4, contentSize, true );
+			view.setUint32( i + 8, childrenSize, true );
+
+			i += 12;
+
+		}
+
+		view.setUint32( 0, VOX_MAGIC, true );
+		view.setUint32( 4, 150, true );
+
+		i = 8;
+
+		writeHeader( 'MAIN', 0, mainChildren );
+
+		writeHeader( 'SIZE', 12, 0 );
+		view.setUint32( i, size.x, true );
+		view.setUint32( i + 4, size.y, true );
+		view.setUint32( i + 8, size.z, true );
+		i += 12;
+
+		writeHeader( 'XYZI', 4 + numVoxels * 4, 0 );
+		view.setUint32( i, numVoxels, true );
+		i += 4;
+
+		for ( let j = 0; j < data.length; j ++ ) {
+
+			view.setUint8( i ++, data[ j ] );
+
+		}
+
+		// the first color of the chunk is color index 1
+
+		writeHeader( 'RGBA', 256 * 4, 0 );
+
+		for ( let j = 0; j < 256; j ++ ) {
+
+			const color = palette[ j + 1 ] !== undefined ? palette[ j + 1 ] : 0;
+
+			view.setUint32( i, color >>> 0, true );
+			i += 4;
+
+		}
+
+		return buffer;
+
+	}
+
+}
+
+export { VOXExporter };
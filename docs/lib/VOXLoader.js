@@ -0,0 +1,300 @@
+import {
+	BoxGeometry,
+	FileLoader,
+	Group,
+	Loader,
+	Mesh,
+	MeshToonMaterial
+} from './three.module.js';
+
+// 'VOX ' as a little-endian uint32
+const VOX_MAGIC = 542658390;
+
+class VOXLoader extends Loader {
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( scope.manager );
+		loader.setPath( scope.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( scope.requestHeader );
+		loader.setWithCredentials( scope.withCredentials );
+		loader.load( url, function ( buffer ) {
+
+			try {
+
+				onLoad( scope.parse( buffer ) );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	/**
+	 * Parses a MagicaVoxel file into one chunk per model. Every chunk holds its
+	 * size, the packed voxel data ( x, y, z, colorIndex per voxel ) and the
+	 * palette, where palette[ colorIndex ] is an 0xAABBGGRR color.
+	 *
+	 * @param {ArrayBuffer|ArrayBufferView} buffer
+	 * @return {Array<Object>}
+	 */
+	parse( buffer ) {
+
+		const data = ArrayBuffer.isView( buffer )
+			? new DataView( buffer.buffer, buffer.byteOffset, buffer.byteLength )
+			: new DataView( buffer );
+
+		if ( data.byteLength < 8 || data.getUint32( 0, true ) !== VOX_MAGIC ) {
+
+			throw new Error( 'THREE.VOXLoader: Invalid VOX file.' );
+
+		}
+
+		const version = data.getUint32( 4, true );
+
+		if ( version !== 150 && version !== 200 ) {
+
+			console.warn( 'THREE.VOXLoader: Unsupported VOX version ' + version + ', trying anyway.' );
+
+		}
+
+		const chunks = [];
+		let palette = DEFAULT_PALETTE;
+		let chunk;
+
+		let i = 8;
+
+		// MAIN has no content of its own, so its children can be read as a flat list
+
+		while ( i < data.byteLength ) {
+
+			if ( i + 12 > data.byteLength ) {
+
+				throw new Error( 'THREE.VOXLoader: Truncated chunk header at byte ' + i + '.' );
+
+			}
+
+			let id = '';
+
+			for ( let j = 0; j < 4; j ++ ) {
+
+				id += String.fromCharCode( data.getUint8( i + j ) );
+
+			}
+
+			const chunkSize = data.getUint32( i + 4, true );
+
+			i += 12;
+
+			if ( i + chunkSize > data.byteLength ) {
+
+				throw new Error( 'THREE.VOXLoader: Chunk ' + id + ' runs past the end of the file.' );
+
+			}
+
+			if ( id === 'SIZE' ) {
+
+				chunk = {
+					palette: palette,
+					size: {
+						x: data.getUint32( i, true ),
+						y: data.getUint32( i + 4, true ),
+						z: data.getUint32( i + 8, true )
+					},
+					data: null
+				};
+
+				chunks.push( chunk );
+
+			} else if ( id === 'XYZI' ) {
+
+				if ( chunk === undefined || chunk.data !== null ) {
+
+					throw new Error( 'THREE.VOXLoader: XYZI chunk without a preceding SIZE chunk.' );
+
+				}
+
+				const numVoxels = data.getUint32( i, true );
+
+				if ( numVoxels * 4 + 4 > chunkSize ) {
+
+					throw new Error( 'THREE.VOXLoader: XYZI chunk is too small for ' + numVoxels + ' voxels.' );
+
+				}
+
+				chunk.data = new Uint8Array( data.buffer, data.byteOffset + i + 4, numVoxels * 4 ).slice();
+
+			} else if ( id === 'RGBA' ) {
+
+				// the first color of the chunk is color index 1
+
+				palette = [ 0 ];
+
+				for ( let j = 0; j < 255; j ++ ) {
+
+					palette[ j + 1 ] = data.getUint32( i + j * 4, true );
+
+				}
+
+			}
+
+			i += chunkSize;
+
+		}
+
+		// the palette comes after the models but applies to all of them
+
+		for ( let j = 0; j < chunks.length; j ++ ) {
+
+			chunks[ j ].palette = palette;
+
+			if ( chunks[ j ].data === null ) chunks[ j ].data = new Uint8Array( 0 );
+
+		}
+
+		return chunks;
+
+	}
+
+}
+
+/**
+ * A model from VOXLoader built as a grid of boxes, one Mesh per voxel.
+ * MagicaVoxel is Z-up, so the model is turned to Y-up, centered on X and Z
+ * and stood on Y = 0. All boxes share one geometry, and every palette entry
+ * in use gets one material, created on demand.
+ */
+class VOXBoxGrid extends Group {
+
+	/**
+	 * @param {Object} chunk - one of the chunks returned by VOXLoader.parse()
+	 * @param {Object} [parameters]
+	 * @param {number} [parameters.unit=0.1] - edge length of a box
+	 * @param {BufferGeometry} [parameters.geometry] - shared box geometry; created if omitted
+	 * @param {Array<Material>} [parameters.materials] - materials by color index, shared across models and filled in as needed; the caller disposes them
+	 * @param {Function} [parameters.materialType=MeshToonMaterial] - material class for new materials
+	 */
+	constructor( chunk, parameters = {} ) {
+
+		super();
+
+		const unit = parameters.unit !== undefined ? parameters.unit : 0.1;
+		const MaterialType = parameters.materialType !== undefined ? parameters.materialType : MeshToonMaterial;
+
+		this.type = 'VOXBoxGrid';
+
+		this.unit = unit;
+		this.geometry = parameters.geometry !== undefined ? parameters.geometry : new BoxGeometry( unit, unit, unit );
+		this.materials = parameters.materials !== undefined ? parameters.materials : [];
+
+		this._ownsGeometry = parameters.geometry === undefined;
+		this._ownsMaterials = parameters.materials === undefined;
+
+		const size = chunk.size;
+		const data = chunk.data;
+		const palette = chunk.palette;
+
+		const offsetX = ( size.x - 1 ) / 2;
+		const offsetY = ( size.y - 1 ) / 2;
+
+		for ( let j = 0; j < data.length; j += 4 ) {
+
+			const x = data[ j + 0 ];
+			const y = data[ j + 1 ];
+			const z = data[ j + 2 ];
+			const colorIndex = data[ j + 3 ];
+
+			if ( this.materials[ colorIndex ] === undefined ) {
+
+				const hex = palette[ colorIndex ];
+
+				this.materials[ colorIndex ] = new MaterialType( {
+					color: ( ( hex & 0xff ) << 16 ) | ( hex & 0xff00 ) | ( ( hex >> 16 ) & 0xff )
+				} );
+
+			}
+
+			const mesh = new Mesh( this.geometry, this.materials[ colorIndex ] );
+			mesh.position.set( ( x - offsetX ) * unit, z * unit, - ( y - offsetY ) * unit );
+			mesh.userData.colorIndex = colorIndex;
+
+			this.add( mesh );
+
+		}
+
+	}
+
+	dispose() {
+
+		if ( this._ownsGeometry ) this.geometry.dispose();
+
+		if ( this._ownsMaterials ) {
+
+			for ( const material of this.materials ) {
+
+				if ( material !== undefined ) material.dispose();
+
+			}
+
+		}
+
+	}
+
+}
+
+// generated from the MagicaVoxel default palette: a 6x6x6 color cube without
+// black, followed by ramps of red, green, blue and gray
+
+const DEFAULT_PALETTE = ( function () {
+
+	const cube = [ 0xff, 0xcc, 0x99, 0x66, 0x33, 0x00 ];
+	const ramp = [ 0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11 ];
+
+	const palette = [ 0x00000000 ];
+
+	for ( const r of cube ) {
+
+		for ( const g of cube ) {
+
+			for ( const b of cube ) {
+
+				if ( r === 0 && g === 0 && b === 0 ) continue;
+
+				palette.push( ( 0xff000000 | ( b << 16 ) | ( g << 8 ) | r ) >>> 0 );
+
+			}
+
+		}
+
+	}
+
+	for ( const shift of [ 0, 8, 16 ] ) {
+
+		for ( const v of ramp ) palette.push( ( 0xff000000 | ( v << shift ) ) >>> 0 );
+
+	}
+
+	for ( const v of ramp ) palette.push( ( 0xff000000 | ( v << 16 ) | ( v << 8 ) | v ) >>> 0 );
+
+	return palette;
+
+} )();
+
+export { VOXLoader, VOXBoxGrid };
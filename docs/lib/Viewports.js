@@ -0,0 +1,307 @@
+// Viewports ------------------------------------------------------------------
+// 1 つのシーンを、1 つの WebGLRenderer の中の複数の領域に、それぞれ別のカメラで
+// 描画するためのクラスです。透視投影のカメラと、上、前、横から見た平行投影のカ
+// メラを並べたり、画面の隅に小さなビュー（ピクチャー・イン・ピクチャー）を重ね
+// たりできます。
+//
+//   const viewports = new ViewportManager(app)
+//   viewports.add({ camera: app.camera, rect: [0, 0, 0.5, 1], controls: app.controls })
+//   viewports.add({
+//     camera: createOrthographicCamera('top'),
+//     rect: [0.5, 0, 0.5, 1],
+//     clearColor: 0x222222,
+//     controls: true,
+//     helpers: [new THREE.GridHelper(10, 10)],
+//   })
+//
+// 領域（rect）は描画領域に対する割合で、左上を原点にした [x, y, 幅, 高さ] です。
+// 後から追加したビューほど手前に描かれます。
+// 各ビューの領域はシザーテストで切り抜いてから描画するので、領域の外は塗りつぶ
+// されません。ヘルパーはそのビューを描画する間だけ表示されます。
+// OrbitControls はポインターが乗っているビューのものだけが反応し、App3 の Picker
+// もそのビューのカメラと領域でメッシュを調べます。
+// ----------------------------------------------------------------------------
+
+import * as THREE from './three.module.js'
+import { OrbitControls } from './OrbitControls.js'
+
+/**
+ * 平行投影のカメラを、決まった向きから原点（target）を見るように生成する
+ * @param {string} direction - 'top'、'bottom'、'front'、'back'、'left'、'right' のいずれか
+ * @param {object} [options]
+ * @param {number} [options.size=10.0] - 縦方向に写す範囲（横はビューの縦横比に合わせる）
+ * @param {number} [options.distance=10.0] - target からカメラまでの距離
+ * @param {THREE.Vector3} [options.target] - 注視点
+ * @return {THREE.OrthographicCamera}
+ */
+export function createOrthographicCamera (direction, options = {}) {
+  const size = options.size !== undefined ? options.size : 10.0
+  const distance = options.distance !== undefined ? options.distance : 10.0
+  const target = options.target !== undefined ? options.target : new THREE.Vector3()
+  const DIRECTIONS = {
+    top: [0, 1, 0],
+    bottom: [0, -1, 0],
+    front: [0, 0, 1],
+    back: [0, 0, -1],
+    left: [-1, 0, 0],
+    right: [1, 0, 0],
+  }
+  if (DIRECTIONS[direction] === undefined) {
+    throw new Error(`Viewports: unknown direction "${direction}".`)
+  }
+  const camera = new THREE.OrthographicCamera(-size / 2, size / 2, size / 2, -size / 2, 0.1, distance * 2.0)
+  camera.name = direction
+  camera.position.fromArray(DIRECTIONS[direction]).multiplyScalar(distance).add(target)
+  // 真上と真下から見る場合、既定の上方向（Y）では向きが決まらないので奥を上にする
+  if (direction === 'top' || direction === 'bottom') {
+    camera.up.set(0, 0, -1)
+  }
+  camera.lookAt(target)
+  return camera
+}
+
+/**
+ * 複数のビューポートにシーンを描画するクラス
+ */
+export class ViewportManager {
+  /**
+   * コンストラクタ
+   * 生成すると app.viewports に登録され、App3 の描画がこのクラスを通して行われる
+   * @constructor
+   * @param {App3} app - init 済みの App3 のインスタンス
+   */
+  constructor (app) {
+    this.app = app
+    this.renderer = app.renderer
+    this.scene = app.scene
+    this.domElement = app.renderer.domElement
+    this.viewports = [] // 追加したビュー
+    this.active = null  // ポインターが乗っているビュー
+    this.size = new THREE.Vector2()
+    this.ndcRect = new THREE.Box2()
+
+    // どのビューにも属さない App3 の OrbitControls は、すべてのビューで反応しないように止める
+    this.appControlsEnabled = app.controls != null ? app.controls.enabled : false
+
+    // OrbitControls より先にポインターの位置を調べるため、キャプチャーで受け取る
+    this.handlePointer = (pointerEvent) => {
+      // ドラッグ中は、押したときのビューのまま操作を続ける
+      if (pointerEvent.type === 'pointermove' && pointerEvent.buttons !== 0) {
+        return
+      }
+      this.setActive(this.viewportAt(pointerEvent.clientX, pointerEvent.clientY))
+    }
+    this.domElement.addEventListener('pointerdown', this.handlePointer, true)
+    this.domElement.addEventListener('pointermove', this.handlePointer, true)
+    this.domElement.addEventListener('wheel', this.handlePointer, true)
+
+    app.viewports = this
+  }
+
+  /**
+   * ビューを追加する
+   * @param {object} options
+   * @param {THREE.Camera} options.camera - ビューのカメラ
+   * @param {Array<number>} [options.rect=[0, 0, 1, 1]] - 描画領域に対する割合での [x, y, 幅, 高さ]（左上が原点）
+   * @param {string} [options.name] - ビューの名前
+   * @param {THREE.ColorRepresentation} [options.clearColor] - 背景色、省略時はレンダラーの背景色
+   * @param {boolean|OrbitControls} [options.controls=false] - true なら OrbitControls を生成する、既存のものも渡せる
+   * @param {THREE.Vector3} [options.target] - 生成する OrbitControls の注視点
+   * @param {Array<THREE.Object3D>} [options.helpers=[]] - このビューにだけ表示するヘルパー
+   * @return {object} 追加したビュー
+   */
+  add (options) {
+    const camera = options.camera
+    const viewport = {
+      name: options.name !== undefined ? options.name : camera.name,
+      camera: camera,
+      rect: options.rect !== undefined ? options.rect : [0, 0, 1, 1],
+      clearColor: new THREE.Color(options.clearColor !== undefined ? options.clearColor : this.renderer.getClearColor(new THREE.Color())),
+      controls: null,
+      ownsControls: false,
+      helpers: options.helpers !== undefined ? options.helpers : [],
+      // 平行投影のカメラは縦の範囲を保ち、横の範囲をビューの縦横比に合わせる
+      frustumHeight: camera.isOrthographicCamera === true ? camera.top - camera.bottom : 0,
+    }
+
+    if (options.controls === true) {
+      viewport.controls = new OrbitControls(camera, this.domElement)
+      if (options.target !== undefined) {
+        viewport.controls.target.copy(options.target)
+      }
+      viewport.controls.update()
+      viewport.ownsControls = true
+    } else if (options.controls != null && options.controls !== false) {
+      viewport.controls = options.controls
+    }
+
+    viewport.helpers.forEach((helper) => {
+      helper.visible = false
+      this.scene.add(helper)
+    })
+
+    this.viewports.push(viewport)
+    this.setActive(this.active)
+    return viewport
+  }
+
+  /**
+   * ビューを取り除く
+   * @param {object} viewport - add の戻り値
+   */
+  remove (viewport) {
+    const index = this.viewports.indexOf(viewport)
+    if (index === -1) {
+      return
+    }
+    this.viewports.splice(index, 1)
+    this.disposeViewport(viewport)
+    this.setActive(this.active === viewport ? null : this.active)
+  }
+
+  /**
+   * 画面上の位置にあるビューを返す（重なっている場合は手前のもの）
+   * @param {number} clientX - X 座標（CSS ピクセル）
+   * @param {number} clientY - Y 座標（CSS ピクセル）
+   * @return {object|null}
+   */
+  viewportAt (clientX, clientY) {
+    const bounds = this.domElement.getBoundingClientRect()
+    const x = (clientX - bounds.left) / bounds.width
+    const y = (clientY - bounds.top) / bounds.height
+    for (let i = this.viewports.length - 1; i >= 0; --i) {
+      const [left, top, width, height] = this.viewports[i].rect
+      if (x >= left && x < left + width && y >= top && y < top + height) {
+        return this.viewports[i]
+      }
+    }
+    return null
+  }
+
+  /**
+   * ポインターが乗っているビューの OrbitControls だけを有効にする
+   * @param {object|null} viewport - 有効にするビュー
+   */
+  setActive (viewport) {
+    this.active = viewport
+    const appControls = this.app.controls
+    if (appControls != null) {
+      appControls.enabled = false
+    }
+    this.viewports.forEach((v) => {
+      if (v.controls !== null) {
+        v.controls.enabled = v === viewport
+      }
+    })
+    // ピッカーにはビューのカメラと、canvas 全体の正規化デバイス座標での領域を渡す
+    // どのビューにも乗っていなければ直前のビューのままにし、その領域の外として扱わせる
+    const picker = this.app.picker
+    if (picker != null && viewport !== null) {
+      const [left, top, width, height] = viewport.rect
+      this.ndcRect.min.set(left * 2.0 - 1.0, 1.0 - (top + height) * 2.0)
+      this.ndcRect.max.set((left + width) * 2.0 - 1.0, 1.0 - top * 2.0)
+      picker.setView(viewport.camera, this.ndcRect)
+    }
+  }
+
+  /**
+   * 毎フレームの更新処理
+   * App3 のコントロールは App3 が更新するので、ここで生成したものだけを更新する
+   */
+  update () {
+    this.viewports.forEach((viewport) => {
+      if (viewport.ownsControls === true) {
+        viewport.controls.update()
+      }
+    })
+  }
+
+  /**
+   * すべてのビューを描画する
+   */
+  render () {
+    const renderer = this.renderer
+    const size = renderer.getSize(this.size)
+    const clearColor = renderer.getClearColor(new THREE.Color())
+    const clearAlpha = renderer.getClearAlpha()
+
+    renderer.setScissorTest(true)
+    this.viewports.forEach((viewport) => {
+      const [left, top, width, height] = viewport.rect
+      // setViewport と setScissor は左下が原点なので、上からの位置を下からに直す
+      const x = Math.floor(left * size.x)
+      const y = Math.floor((1.0 - top - height) * size.y)
+      const w = Math.floor(width * size.x)
+      const h = Math.floor(height * size.y)
+      if (w <= 0 || h <= 0) {
+        return
+      }
+
+      const camera = viewport.camera
+      const aspect = w / h
+      if (camera.isPerspectiveCamera === true && camera.aspect !== aspect) {
+        camera.aspect = aspect
+        camera.updateProjectionMatrix()
+      } else if (camera.isOrthographicCamera === true) {
+        const halfHeight = viewport.frustumHeight / 2
+        if (camera.right !== halfHeight * aspect) {
+          camera.left = -halfHeight * aspect
+          camera.right = halfHeight * aspect
+          camera.top = halfHeight
+          camera.bottom = -halfHeight
+          camera.updateProjectionMatrix()
+        }
+      }
+
+      viewport.helpers.forEach((helper) => { helper.visible = true })
+      renderer.setViewport(x, y, w, h)
+      renderer.setScissor(x, y, w, h)
+      renderer.setClearColor(viewport.clearColor)
+      renderer.render(this.scene, camera)
+      viewport.helpers.forEach((helper) => { helper.visible = false })
+    })
+
+    // 他の描画に影響しないように元に戻す
+    renderer.setScissorTest(false)
+    renderer.setViewport(0, 0, size.x, size.y)
+    renderer.setClearColor(clearColor, clearAlpha)
+  }
+
+  /**
+   * ビューが持つ OrbitControls とヘルパーを解放する
+   * @param {object} viewport - ビュー
+   */
+  disposeViewport (viewport) {
+    if (viewport.ownsControls === true) {
+      viewport.controls.dispose()
+    }
+    viewport.helpers.forEach((helper) => {
+      this.scene.remove(helper)
+      if (typeof helper.dispose === 'function') {
+        helper.dispose()
+      }
+    })
+  }
+
+  /**
+   * すべてのビューを取り除き、App3 の描画を元に戻す
+   */
+  dispose () {
+    this.domElement.removeEventListener('pointerdown', this.handlePointer, true)
+    this.domElement.removeEventListener('pointermove', this.handlePointer, true)
+    this.domElement.removeEventListener('wheel', this.handlePointer, true)
+    this.viewports.forEach((viewport) => {
+      this.disposeViewport(viewport)
+    })
+    this.viewports = []
+    if (this.app.controls != null) {
+      this.app.controls.enabled = this.appControlsEnabled
+    }
+    if (this.app.picker != null) {
+      this.app.picker.setView(null)
+    }
+    if (this.app.viewports === this) {
+      this.app.viewports = null
+    }
+  }
+}
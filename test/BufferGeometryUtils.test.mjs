@@ -0,0 +1,69 @@
+// greedyMeshVoxels の三角形とグループの数を確かめるテスト
+// 実行: node --test test/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { greedyMeshVoxels } from '../docs/lib/BufferGeometryUtils.js'
+
+/**
+ * 大きさと、各ボクセルのパレット番号を返す関数からグリッドを作る
+ * @param {number} x - X 方向の大きさ
+ * @param {number} y - Y 方向の大きさ
+ * @param {number} z - Z 方向の大きさ
+ * @param {function(number, number, number): number} fill - パレット番号（0 は空）
+ * @return {{size: object, data: Uint8Array}}
+ */
+function createGrid (x, y, z, fill) {
+  const data = new Uint8Array(x * y * z)
+  for (let k = 0; k < z; ++k) {
+    for (let j = 0; j < y; ++j) {
+      for (let i = 0; i < x; ++i) {
+        data[i + x * (j + y * k)] = fill(i, j, k)
+      }
+    }
+  }
+  return { size: { x, y, z }, data }
+}
+
+/**
+ * インデックス付きのジオメトリの三角形の数
+ * @param {THREE.BufferGeometry} geometry - ジオメトリ
+ * @return {number}
+ */
+function countTriangles (geometry) {
+  return geometry.index.count / 3
+}
+
+test('a single voxel has 12 triangles', () => {
+  const geometry = greedyMeshVoxels(createGrid(1, 1, 1, () => 1))
+  assert.equal(countTriangles(geometry), 12)
+})
+
+test('a solid 2x2x2 block merges into 12 triangles', () => {
+  const geometry = greedyMeshVoxels(createGrid(2, 2, 2, () => 1))
+  assert.equal(countTriangles(geometry), 12)
+})
+
+test('faces of different colors are not merged', () => {
+  // 2 つのボクセルが接する面は消え、残りの 4 方向の面は色ごとに分かれる
+  const grid = createGrid(2, 1, 1, (i) => i + 1)
+  const colored = greedyMeshVoxels(grid, [null, 0xff0000, 0x0000ff])
+  assert.equal(countTriangles(colored), 20)
+  assert.equal(colored.getAttribute('color').count, colored.getAttribute('position').count)
+
+  const grouped = greedyMeshVoxels(grid, [null, 0xff0000, 0x0000ff], true)
+  assert.equal(countTriangles(grouped), 20)
+  assert.equal(grouped.groups.length, 2)
+  assert.deepEqual(grouped.groups.map((group) => group.materialIndex).sort(), [1, 2])
+  assert.equal(grouped.groups.reduce((sum, group) => sum + group.count, 0), grouped.index.count)
+})
+
+test('a hollow cube has an outer and an inner surface', () => {
+  const geometry = greedyMeshVoxels(createGrid(3, 3, 3, (i, j, k) => (i === 1 && j === 1 && k === 1) ? 0 : 1))
+  assert.equal(countTriangles(geometry), 24)
+})
+
+test('an empty grid has no triangles', () => {
+  const geometry = greedyMeshVoxels(createGrid(2, 2, 2, () => 0))
+  assert.equal(countTriangles(geometry), 0)
+})
@@ -0,0 +1,114 @@
+// StandInRenderer で App3 を動かし、FrameCapture の書き出しを確かめるテスト
+// 実行: node --test test/
+
+import { test, before } from 'node:test'
+import assert from 'node:assert/strict'
+
+// App3 が参照するブラウザの API の代わり
+const container = {
+  clientWidth: 320,
+  clientHeight: 180,
+  appendChild () {},
+}
+globalThis.window = Object.assign(new EventTarget(), { devicePixelRatio: 1 })
+globalThis.document = {
+  querySelector: () => container,
+}
+globalThis.requestAnimationFrame = () => 1
+globalThis.cancelAnimationFrame = () => {}
+
+let THREE
+let App3
+let FrameCapture
+let StandInRenderer
+
+before(async () => {
+  THREE = await import('../docs/lib/three.module.js')
+  ;({ App3 } = await import('../docs/lib/App3.js'))
+  ;({ FrameCapture, StandInRenderer } = await import('../docs/lib/FrameCapture.js'))
+})
+
+/**
+ * 箱を回し続けるだけのアプリを StandInRenderer で初期化する
+ * @return {App3}
+ */
+function createApp () {
+  class SpinApp extends App3 {
+    createRenderer () {
+      return new StandInRenderer()
+    }
+
+    setup () {
+      this.box = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial())
+      this.scene.add(this.box)
+    }
+
+    update (delta, elapsed) {
+      this.box.rotation.y = elapsed
+    }
+  }
+  const app = new SpinApp()
+  app.init()
+  return app
+}
+
+/**
+ * PNG の IHDR から大きさを読む
+ * @param {Uint8Array} png - PNG のバイト列
+ * @return {{width: number, height: number}}
+ */
+function readSize (png) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength)
+  return { width: view.getUint32(16), height: view.getUint32(20) }
+}
+
+test('captures numbered PNG frames at the requested size', async () => {
+  const app = createApp()
+  const capture = new FrameCapture(app, { width: 16, height: 8, fps: 30 })
+  const frames = await capture.capture(3)
+
+  assert.deepEqual(frames.map((frame) => frame.name), ['frame_0000.png', 'frame_0001.png', 'frame_0002.png'])
+  frames.forEach((frame) => {
+    assert.deepEqual(Array.from(frame.data.subarray(0, 8)), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+    assert.deepEqual(readSize(frame.data), { width: 16, height: 8 })
+  })
+  // 箱が回るので、フレームごとに異なる画像になる
+  assert.notDeepEqual(frames[1].data, frames[2].data)
+  app.dispose()
+})
+
+test('capturing twice gives the same frames', async () => {
+  const first = createApp()
+  const second = createApp()
+  // 2 つ目は書き出す前に時間を進めておく
+  second.step(1234)
+  const a = await new FrameCapture(first, { width: 8, height: 8 }).capture(4)
+  const b = await new FrameCapture(second, { width: 8, height: 8 }).capture(4)
+  assert.deepEqual(a.map((frame) => frame.data), b.map((frame) => frame.data))
+  first.dispose()
+  second.dispose()
+})
+
+test('does not update input and picker while capturing', async () => {
+  const app = createApp()
+  let updates = 0
+  app.input.update = () => { updates++ }
+  app.picker.update = () => { updates++ }
+  // 書き出しのあとに描画ループが再開して 1 フレーム進まないように止めておく
+  app.stop()
+  await new FrameCapture(app, { width: 8, height: 8 }).capture(2)
+  assert.equal(updates, 0)
+  app.step(0)
+  assert.equal(updates, 2)
+  app.dispose()
+})
+
+test('restores the container size after capturing', async () => {
+  const app = createApp()
+  await new FrameCapture(app, { width: 8, height: 8 }).capture(1)
+  assert.equal(app.isCapturing, false)
+  assert.equal(app.renderer.width, container.clientWidth)
+  assert.equal(app.renderer.height, container.clientHeight)
+  assert.equal(app.camera.aspect, container.clientWidth / container.clientHeight)
+  app.dispose()
+})
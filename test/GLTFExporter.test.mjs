@@ -0,0 +1,160 @@
+// GLTFExporter で書き出したシーンを GLTFLoader で読み込み直すテスト
+// 実行: node --test test/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from '../docs/lib/three.module.js'
+import { GLTFExporter } from '../docs/lib/GLTFExporter.js'
+import { GLTFLoader } from '../docs/lib/GLTFLoader.js'
+import { mergeGeometries } from '../docs/lib/BufferGeometryUtils.js'
+
+// GLTFLoader は data URI のバッファを読むときに ProgressEvent を生成するが、Node にはない
+if (globalThis.ProgressEvent === undefined) {
+  globalThis.ProgressEvent = class ProgressEvent extends Event {
+    constructor (type, init = {}) {
+      super(type)
+      this.lengthComputable = init.lengthComputable === true
+      this.loaded = init.loaded !== undefined ? init.loaded : 0
+      this.total = init.total !== undefined ? init.total : 0
+    }
+  }
+}
+
+/**
+ * メッシュ、グループを持つメッシュ、InstancedMesh、ライト、カメラを含むシーンを作る
+ * @return {THREE.Scene}
+ */
+function createScene () {
+  const scene = new THREE.Scene()
+
+  const box = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshToonMaterial({ color: 0xff0000, name: 'toon' }))
+  box.name = 'box'
+  box.position.set(1, 2, 3)
+  box.rotation.y = 0.5
+
+  const geometry = mergeGeometries([new THREE.BoxGeometry(), new THREE.SphereGeometry(1, 8, 6).translate(3, 0, 0)], true)
+  const multi = new THREE.Mesh(geometry, [
+    new THREE.MeshStandardMaterial({ color: 0x00ff00, roughness: 0.3, metalness: 0.2 }),
+    new THREE.MeshBasicMaterial({ color: 0x0000ff }),
+  ])
+  multi.name = 'multi'
+
+  const instances = new THREE.InstancedMesh(new THREE.BoxGeometry(0.1, 0.1, 0.1), new THREE.MeshBasicMaterial(), 3)
+  instances.name = 'instances'
+  for (let i = 0; i < 3; ++i) {
+    instances.setMatrixAt(i, new THREE.Matrix4().makeTranslation(i, 0, 0))
+  }
+
+  const group = new THREE.Group()
+  group.name = 'group'
+  group.add(box, multi, instances)
+  scene.add(group)
+
+  const sun = new THREE.DirectionalLight(0xffffff, 1.5)
+  sun.name = 'sun'
+  sun.position.set(1, 1, 1)
+  scene.add(sun)
+  const bulb = new THREE.PointLight(0xff00ff, 2, 10)
+  bulb.name = 'bulb'
+  scene.add(bulb)
+
+  const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 100)
+  camera.name = 'camera'
+  camera.position.z = 5
+  scene.add(camera)
+
+  return scene
+}
+
+const clip = new THREE.AnimationClip('spin', 1, [
+  new THREE.VectorKeyframeTrack('box.position', [0, 1], [0, 0, 0, 1, 1, 1]),
+  new THREE.QuaternionKeyframeTrack('box.quaternion', [0, 1], [0, 0, 0, 1, 0, Math.SQRT1_2, 0, Math.SQRT1_2]),
+])
+
+/**
+ * 書き出して読み込み直す
+ * @param {object} options - GLTFExporter のオプション
+ * @return {Promise<object>} GLTFLoader の結果
+ */
+async function roundTrip (options) {
+  const output = await new GLTFExporter().parseAsync(createScene(), options)
+  const data = options.binary === true ? output : JSON.stringify(output)
+  return new Promise((resolve, reject) => new GLTFLoader().parse(data, '', resolve, reject))
+}
+
+for (const binary of [false, true]) {
+  test(`round trip as ${binary === true ? 'GLB' : 'glTF JSON'}`, async () => {
+    const gltf = await roundTrip({ binary, animations: [clip] })
+    const scene = gltf.scene
+    scene.updateMatrixWorld(true)
+
+    // メッシュとグループ
+    assert.notEqual(scene.getObjectByName('group'), undefined)
+    const box = scene.getObjectByName('box')
+    assert.deepEqual(box.position.toArray(), [1, 2, 3])
+    assert.ok(Math.abs(box.rotation.y - 0.5) < 1e-6)
+    assert.equal(box.geometry.index.count, 36)
+    assert.equal(box.material.type, 'MeshStandardMaterial')
+    assert.equal(box.material.color.getHex(), 0xff0000)
+
+    // グループごとに 1 つのプリミティブになり、読み込むと子のメッシュに分かれる
+    const multi = scene.getObjectByName('multi')
+    assert.equal(multi.children.length, 2)
+    assert.deepEqual(multi.children.map((child) => child.material.type), ['MeshStandardMaterial', 'MeshBasicMaterial'])
+
+    const instances = scene.getObjectByName('instances')
+    assert.equal(instances.isInstancedMesh, true)
+    assert.equal(instances.count, 3)
+
+    // ライトの向きはターゲットから求められる
+    const sun = scene.getObjectByName('sun')
+    const light = sun.isLight === true ? sun : sun.children.find((child) => child.isLight === true)
+    assert.equal(light.isDirectionalLight, true)
+    const direction = light.target.getWorldPosition(new THREE.Vector3()).sub(light.getWorldPosition(new THREE.Vector3())).normalize()
+    assert.ok(direction.distanceTo(new THREE.Vector3(-1, -1, -1).normalize()) < 1e-5)
+    const bulb = scene.getObjectByName('bulb')
+    assert.ok(bulb.isPointLight === true || bulb.children.some((child) => child.isPointLight === true))
+
+    assert.equal(gltf.cameras.length, 1)
+    assert.ok(Math.abs(gltf.cameras[0].fov - 60) < 1e-4)
+
+    assert.equal(gltf.animations.length, 1)
+    assert.equal(gltf.animations[0].name, 'spin')
+    assert.deepEqual(gltf.animations[0].tracks.map((track) => track.name).sort(), ['box.position', 'box.quaternion'])
+  })
+}
+
+test('toon materials can be written as unlit', async () => {
+  const gltf = await roundTrip({ toonMaterial: 'unlit' })
+  const box = gltf.scene.getObjectByName('box')
+  assert.equal(box.material.type, 'MeshBasicMaterial')
+  assert.equal(box.material.color.getHex(), 0xff0000)
+})
+
+test('the JSON output declares the extensions it uses', async () => {
+  const json = await new GLTFExporter().parseAsync(createScene(), { toonMaterial: 'unlit' })
+  assert.deepEqual(json.extensionsUsed.slice().sort(), ['EXT_mesh_gpu_instancing', 'KHR_lights_punctual', 'KHR_materials_unlit'])
+})
+
+test('indices above 65535 in a small group are written as unsigned ints', async () => {
+  const vertexCount = 70000
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3))
+  geometry.setIndex(new THREE.BufferAttribute(new Uint32Array([0, 1, 2, 69997, 69998, 69999]), 1))
+  geometry.addGroup(0, 3, 0)
+  geometry.addGroup(3, 3, 1)
+  const mesh = new THREE.Mesh(geometry, [new THREE.MeshBasicMaterial(), new THREE.MeshBasicMaterial()])
+
+  const json = await new GLTFExporter().parseAsync(mesh)
+  const accessors = json.meshes[0].primitives.map((primitive) => json.accessors[primitive.indices])
+  // 5123 は UNSIGNED_SHORT、5125 は UNSIGNED_INT
+  assert.deepEqual(accessors.map((accessor) => accessor.componentType), [5123, 5125])
+  assert.deepEqual(accessors.map((accessor) => [accessor.min[0], accessor.max[0]]), [[0, 2], [69997, 69999]])
+
+  const gltf = await new Promise((resolve, reject) => new GLTFLoader().parse(JSON.stringify(json), '', resolve, reject))
+  const meshes = []
+  gltf.scene.traverse((object) => {
+    if (object.isMesh === true) meshes.push(object)
+  })
+  assert.deepEqual(meshes.map((child) => Array.from(child.geometry.index.array)), [[0, 1, 2], [69997, 69998, 69999]])
+})
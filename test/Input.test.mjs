@@ -0,0 +1,159 @@
+// Input に EventTarget と合成したイベントを渡して、アクションの状態を確かめるテスト
+// 実行: node --test test/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Input } from '../docs/lib/Input.js'
+
+/**
+ * 合成したイベントを送れる Input を生成する
+ * @param {Array<Gamepad>} [gamepads] - getGamepads が返すゲームパッド（後から書き換えられる）
+ * @return {{input: Input, target: EventTarget, canvas: EventTarget, send: function}}
+ */
+function createInput (gamepads = []) {
+  const target = new EventTarget()
+  const canvas = new EventTarget()
+  const input = new Input({ target: target, pointerTarget: canvas, getGamepads: () => gamepads })
+  // type のイベントに props のプロパティを付けて送る
+  const send = (eventTarget, type, props) => {
+    eventTarget.dispatchEvent(Object.assign(new Event(type), props))
+  }
+  return { input, target, canvas, send }
+}
+
+test('code bindings follow the physical key', () => {
+  const { input, target, send } = createInput()
+  input.bind('jump', ['code:Space'])
+  input.bind('left', ['code:KeyA'])
+
+  send(target, 'keydown', { key: ' ', code: 'Space' })
+  input.update()
+  assert.equal(input.held('jump'), true)
+  assert.equal(input.held('left'), false)
+
+  // 配列によって key が変わっても code は同じ
+  send(target, 'keydown', { key: 'q', code: 'KeyA' })
+  input.update()
+  assert.equal(input.held('left'), true)
+
+  send(target, 'keyup', { key: ' ', code: 'Space' })
+  send(target, 'keyup', { key: 'Q', code: 'KeyA' })
+  input.update()
+  assert.equal(input.held('jump'), false)
+  assert.equal(input.held('left'), false)
+})
+
+test('touch bindings count the fingers on the screen', () => {
+  const { input, target, canvas, send } = createInput()
+  input.bind('one', ['touch:1'])
+  input.bind('two', ['touch:2'])
+
+  send(canvas, 'pointerdown', { pointerType: 'touch', pointerId: 1 })
+  input.update()
+  assert.equal(input.held('one'), true)
+
+  send(canvas, 'pointerdown', { pointerType: 'touch', pointerId: 2 })
+  input.update()
+  assert.equal(input.held('one'), false)
+  assert.equal(input.pressed('two'), true)
+
+  // 1 本離すと 1 本に戻る
+  send(target, 'pointerup', { pointerType: 'touch', pointerId: 2 })
+  input.update()
+  assert.equal(input.released('two'), true)
+  assert.equal(input.pressed('one'), true)
+
+  // 知らない pointerId は無視する
+  send(target, 'pointerup', { pointerType: 'touch', pointerId: 9 })
+  input.update()
+  assert.equal(input.held('one'), true)
+
+  send(target, 'pointercancel', { pointerType: 'touch', pointerId: 1 })
+  input.update()
+  assert.equal(input.held('one'), false)
+})
+
+test('gamepad bindings read the buttons on every update', () => {
+  const buttons = [{ pressed: false }, { pressed: false }]
+  const { input } = createInput([null, { buttons }])
+  input.bind('fire', ['gamepad:1'])
+
+  input.update()
+  assert.equal(input.held('fire'), false)
+
+  buttons[1].pressed = true
+  input.update()
+  assert.equal(input.pressed('fire'), true)
+  input.update()
+  assert.equal(input.pressed('fire'), false)
+  assert.equal(input.held('fire'), true)
+
+  buttons[1].pressed = false
+  input.update()
+  assert.equal(input.released('fire'), true)
+})
+
+test('pressed and released last one update, held lasts while down', () => {
+  const { input, target, send } = createInput()
+  input.bind('jump', ['code:Space', 'key:w'])
+
+  send(target, 'keydown', { key: ' ', code: 'Space' })
+  input.update()
+  assert.deepEqual(input.getState('jump'), { pressed: true, held: true, released: false })
+  input.update()
+  assert.deepEqual(input.getState('jump'), { pressed: false, held: true, released: false })
+
+  // 同じアクションのもう 1 つの入力を押して離しても、押され続けている
+  send(target, 'keydown', { key: 'w', code: 'KeyW' })
+  send(target, 'keyup', { key: 'w', code: 'KeyW' })
+  input.update()
+  assert.deepEqual(input.getState('jump'), { pressed: false, held: true, released: false })
+
+  send(target, 'keyup', { key: ' ', code: 'Space' })
+  input.update()
+  assert.deepEqual(input.getState('jump'), { pressed: false, held: false, released: true })
+  input.update()
+  assert.deepEqual(input.getState('jump'), { pressed: false, held: false, released: false })
+})
+
+test('a press and release within one frame is still pressed', () => {
+  const { input, target, send } = createInput()
+  input.bind('jump', ['code:Space'])
+
+  send(target, 'keydown', { key: ' ', code: 'Space' })
+  send(target, 'keyup', { key: ' ', code: 'Space' })
+  input.update()
+  assert.equal(input.pressed('jump'), true)
+  input.update()
+  assert.equal(input.released('jump'), true)
+})
+
+test('releases the key a physical key pressed when modifiers change', () => {
+  const { input, target, send } = createInput()
+  input.bind('zoom', ['key:z'])
+
+  send(target, 'keydown', { key: 'z', code: 'KeyZ' })
+  input.update()
+  assert.equal(input.held('zoom'), true)
+  // Shift を押してから離すと key は Z になる
+  send(target, 'keyup', { key: 'Z', code: 'KeyZ' })
+  input.update()
+  assert.equal(input.held('zoom'), false)
+})
+
+test('blur releases everything and dispose stops listening', () => {
+  const { input, target, send } = createInput()
+  input.bind('jump', ['code:Space'])
+
+  send(target, 'keydown', { key: ' ', code: 'Space' })
+  input.update()
+  send(target, 'blur', {})
+  input.update()
+  assert.equal(input.released('jump'), true)
+
+  input.dispose()
+  send(target, 'keydown', { key: ' ', code: 'Space' })
+  input.update()
+  assert.equal(input.held('jump'), false)
+  assert.throws(() => input.held('unknown'), /not bound/)
+})
@@ -0,0 +1,66 @@
+// Picker のハイライトが共有のマテリアルに追従し、書き出しを妨げないことを確かめるテスト
+// 実行: node --test test/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from '../docs/lib/three.module.js'
+import { Picker } from '../docs/lib/Picker.js'
+import { serializeScene } from '../docs/lib/SceneDescription.js'
+
+/**
+ * 同じマテリアルを共有する 2 つのボックスと、中央のボックスを指したピッカー
+ * @return {{scene: THREE.Scene, material: THREE.Material, boxes: Array<THREE.Mesh>, picker: Picker}}
+ */
+function createPicker () {
+  const scene = new THREE.Scene()
+  const geometry = new THREE.BoxGeometry(1.0, 1.0, 1.0)
+  const material = new THREE.MeshPhongMaterial({ color: 0xd74172 })
+  const boxes = [new THREE.Mesh(geometry, material), new THREE.Mesh(geometry, material)]
+  boxes[1].position.x = 3.0
+  boxes.forEach((box) => scene.add(box))
+
+  const camera = new THREE.PerspectiveCamera(60, 1.0, 0.1, 10.0)
+  camera.position.set(0.0, 0.0, 5.0)
+  scene.add(camera)
+  scene.updateMatrixWorld()
+
+  const domElement = new EventTarget()
+  domElement.getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 100 })
+  const picker = new Picker(camera, domElement, [scene], { highlight: 0x441122 })
+  // 中央（1 つ目のボックス）を指す
+  domElement.dispatchEvent(Object.assign(new Event('pointermove'), { clientX: 50, clientY: 50 }))
+  return { scene, material, boxes, picker }
+}
+
+test('highlights the hovered mesh only', () => {
+  const { material, boxes, picker } = createPicker()
+  assert.equal(picker.hovered.object, boxes[0])
+  assert.notEqual(boxes[0].material, material)
+  assert.equal(boxes[0].material.emissive.getHex(), 0x441122)
+  assert.equal(boxes[1].material, material)
+  assert.equal(material.emissive.getHex(), 0x000000)
+  picker.dispose()
+  assert.equal(boxes[0].material, material)
+})
+
+test('the highlight follows changes to the shared material', () => {
+  const { material, boxes, picker } = createPicker()
+  material.color.set(0x00ff00)
+  material.shininess = 80
+  picker.update()
+  assert.equal(boxes[0].material.color.getHex(), 0x00ff00)
+  assert.equal(boxes[0].material.shininess, 80)
+  assert.equal(boxes[0].material.emissive.getHex(), 0x441122)
+  picker.dispose()
+})
+
+test('serializes the original materials while a mesh is hovered', () => {
+  const { material, boxes, picker } = createPicker()
+  const description = picker.withoutHighlight(() => {
+    return serializeScene({ materials: { box: material }, meshes: boxes })
+  })
+  assert.deepEqual(description.meshes.map((mesh) => mesh.material), ['box', 'box'])
+  // 書き出した後はハイライトに戻る
+  assert.notEqual(boxes[0].material, material)
+  picker.dispose()
+})
@@ -0,0 +1,63 @@
+// instanceMeshes がまとめるメッシュと、まとめずに残すメッシュを確かめるテスト
+// 実行: node --test test/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from '../docs/lib/three.module.js'
+import { instanceMeshes } from '../docs/lib/SceneOptimizer.js'
+
+/**
+ * 同じジオメトリとマテリアルを使うボックスを並べたシーン
+ * @param {number} count - ボックスの数
+ * @return {{scene: THREE.Scene, boxes: Array<THREE.Mesh>}}
+ */
+function createScene (count) {
+  const scene = new THREE.Scene()
+  const geometry = new THREE.BoxGeometry(1.0, 1.0, 1.0)
+  const material = new THREE.MeshBasicMaterial()
+  const boxes = []
+  for (let i = 0; i < count; ++i) {
+    const box = new THREE.Mesh(geometry, material)
+    box.position.x = i * 2.0
+    scene.add(box)
+    boxes.push(box)
+  }
+  return { scene, boxes }
+}
+
+test('merges meshes that share a geometry and a material', () => {
+  const { scene, boxes } = createScene(3)
+  const optimizer = instanceMeshes(scene)
+  assert.equal(optimizer.batches.length, 1)
+  assert.equal(optimizer.batches[0].count, 3)
+  boxes.forEach((box) => assert.equal(box.parent, null))
+  const matrix = new THREE.Matrix4()
+  optimizer.batches[0].getMatrixAt(optimizer.get(boxes[2]).index, matrix)
+  assert.deepEqual(new THREE.Vector3().setFromMatrixPosition(matrix).toArray(), [4, 0, 0])
+})
+
+test('leaves hidden meshes and meshes under hidden parents in place', () => {
+  const { scene, boxes } = createScene(4)
+  boxes[1].visible = false
+  const hiddenGroup = new THREE.Group()
+  hiddenGroup.visible = false
+  hiddenGroup.add(boxes[3])
+  scene.add(hiddenGroup)
+
+  const optimizer = instanceMeshes(scene)
+  assert.equal(optimizer.batches[0].count, 2)
+  assert.equal(optimizer.get(boxes[1]), undefined)
+  assert.equal(optimizer.get(boxes[3]), undefined)
+  assert.equal(boxes[1].parent, scene)
+  assert.equal(boxes[1].visible, false)
+  assert.equal(boxes[3].parent, hiddenGroup)
+})
+
+test('keeps the other instances white when one color changes', () => {
+  const { scene, boxes } = createScene(2)
+  const optimizer = instanceMeshes(scene)
+  optimizer.setColor(boxes[0], 0xff0000)
+  const color = new THREE.Color()
+  optimizer.batches[0].getColorAt(optimizer.get(boxes[1]).index, color)
+  assert.equal(color.getHex(), 0xffffff)
+})
@@ -0,0 +1,198 @@
+// VOXLoader.parse() でバイト列からモデルを読めることと、VOXBoxGrid が自分で生成
+// したジオメトリとマテリアルだけを解放することを確かめるテスト
+// 実行: node --test test/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from '../docs/lib/three.module.js'
+import { VOXLoader, VOXBoxGrid } from '../docs/lib/VOXLoader.js'
+import { VOXExporter } from '../docs/lib/VOXExporter.js'
+
+/**
+ * チャンクを並べて VOX ファイルのバイト列を作る
+ * @param {Array<{id: string, words: Array<number>}>} chunks - MAIN の子のチャンク（中身は uint32 の並び）
+ * @param {object} [options]
+ * @param {number} [options.magic] - 先頭の 4 バイト
+ * @return {ArrayBuffer}
+ */
+function createVOX (chunks, options = {}) {
+  const childrenSize = chunks.reduce((sum, chunk) => sum + 12 + chunk.words.length * 4, 0)
+  const buffer = new ArrayBuffer(8 + 12 + childrenSize)
+  const view = new DataView(buffer)
+  let offset = 0
+  const writeHeader = (id, contentSize, size) => {
+    for (let i = 0; i < 4; ++i) {
+      view.setUint8(offset + i, id.charCodeAt(i))
+    }
+    view.setUint32(offset + 4, contentSize, true)
+    view.setUint32(offset + 8, size, true)
+    offset += 12
+  }
+  view.setUint32(0, options.magic !== undefined ? options.magic : 0x20584f56, true) // 'VOX '
+  view.setUint32(4, 150, true)
+  offset = 8
+  writeHeader('MAIN', 0, childrenSize)
+  chunks.forEach((chunk) => {
+    writeHeader(chunk.id, chunk.words.length * 4, 0)
+    chunk.words.forEach((word) => {
+      view.setUint32(offset, word >>> 0, true)
+      offset += 4
+    })
+  })
+  return buffer
+}
+
+/**
+ * ボクセル（x, y, z, 色の番号）を XYZI チャンクの中身にする
+ * @param {Array<Array<number>>} voxels - ボクセルの並び
+ * @return {{id: string, words: Array<number>}}
+ */
+function xyzi (voxels) {
+  return { id: 'XYZI', words: [voxels.length, ...voxels.map(([x, y, z, c]) => x | (y << 8) | (z << 16) | (c << 24))] }
+}
+
+/**
+ * RGBA チャンクの中身（256 色、番号 i の色は 0xff000000 | i）
+ * @return {{id: string, words: Array<number>}}
+ */
+function rgba () {
+  const words = []
+  for (let i = 0; i < 256; ++i) {
+    words.push(0xff000000 | i)
+  }
+  return { id: 'RGBA', words }
+}
+
+test('parses SIZE, XYZI and RGBA chunks', () => {
+  const buffer = createVOX([
+    { id: 'SIZE', words: [2, 3, 4] },
+    xyzi([[0, 0, 0, 1], [1, 2, 3, 255]]),
+    rgba(),
+  ])
+  const chunks = new VOXLoader().parse(buffer)
+  assert.equal(chunks.length, 1)
+  assert.deepEqual(chunks[0].size, { x: 2, y: 3, z: 4 })
+  assert.deepEqual(Array.from(chunks[0].data), [0, 0, 0, 1, 1, 2, 3, 255])
+  // RGBA の最初の色が色の番号 1 になり、番号 0 は空のまま
+  const palette = chunks[0].palette
+  assert.equal(palette[0], 0)
+  assert.equal(palette[1], 0xff000000)
+  assert.equal(palette[255], (0xff000000 | 254) >>> 0)
+
+  // ArrayBufferView も受け取れる
+  const view = new Uint8Array(buffer)
+  assert.deepEqual(new VOXLoader().parse(view), chunks)
+})
+
+test('parses every model of a file and shares the palette', () => {
+  const buffer = createVOX([
+    { id: 'SIZE', words: [1, 1, 1] },
+    xyzi([[0, 0, 0, 2]]),
+    { id: 'SIZE', words: [2, 2, 2] },
+    xyzi([[1, 1, 1, 3], [0, 1, 0, 4]]),
+    rgba(),
+  ])
+  const chunks = new VOXLoader().parse(buffer)
+  assert.deepEqual(chunks.map((chunk) => chunk.size), [{ x: 1, y: 1, z: 1 }, { x: 2, y: 2, z: 2 }])
+  assert.deepEqual(chunks.map((chunk) => chunk.data.length), [4, 8])
+  // パレットはモデルの後にあっても、すべてのモデルに使われる
+  assert.equal(chunks[0].palette, chunks[1].palette)
+  assert.equal(chunks[0].palette[2], (0xff000000 | 1) >>> 0)
+})
+
+test('uses the default palette without an RGBA chunk', () => {
+  const chunks = new VOXLoader().parse(createVOX([
+    { id: 'SIZE', words: [1, 1, 1] },
+    xyzi([[0, 0, 0, 1]]),
+  ]))
+  const palette = chunks[0].palette
+  assert.equal(palette.length, 256)
+  assert.equal(palette[0], 0)
+  assert.equal(palette[1], 0xffffffff)
+  assert.equal(palette[2], 0xffccffff)
+})
+
+test('rejects broken files', () => {
+  const loader = new VOXLoader()
+  assert.throws(() => loader.parse(createVOX([], { magic: 0x12345678 })), /Invalid VOX file/)
+  assert.throws(() => loader.parse(new ArrayBuffer(4)), /Invalid VOX file/)
+  // チャンクのヘッダーが途中で切れている
+  const truncated = createVOX([{ id: 'SIZE', words: [1, 1, 1] }]).slice(0, 8 + 12 + 6)
+  assert.throws(() => loader.parse(truncated), /Truncated chunk header/)
+  assert.throws(() => loader.parse(createVOX([xyzi([[0, 0, 0, 1]])])), /XYZI chunk without a preceding SIZE chunk/)
+})
+
+test('reads back what VOXExporter writes', () => {
+  const palette = [0]
+  for (let i = 1; i < 256; ++i) {
+    palette.push((0xff000000 | (i << 8)) >>> 0)
+  }
+  const chunk = {
+    size: { x: 3, y: 2, z: 1 },
+    data: new Uint8Array([0, 0, 0, 1, 2, 1, 0, 7, 1, 1, 0, 255]),
+    palette: palette,
+  }
+  const chunks = new VOXLoader().parse(new VOXExporter().parse(chunk))
+  assert.equal(chunks.length, 1)
+  assert.deepEqual(chunks[0].size, chunk.size)
+  assert.deepEqual(chunks[0].data, chunk.data)
+  assert.deepEqual(chunks[0].palette, chunk.palette)
+})
+
+/**
+ * 2 色のボクセルを 1 つずつ持つモデル
+ * @return {object} VOXLoader.parse() が返すチャンクと同じ形のオブジェクト
+ */
+function createChunk () {
+  const palette = new Array(256).fill(0xffffffff)
+  palette[1] = 0xff0000ff
+  palette[2] = 0xff00ff00
+  return {
+    size: { x: 2, y: 1, z: 1 },
+    data: new Uint8Array([0, 0, 0, 1, 1, 0, 0, 2]),
+    palette: palette,
+  }
+}
+
+/**
+ * dispose が呼ばれたリソースを記録する
+ * @param {Array<THREE.Material|THREE.BufferGeometry>} resources - 対象のリソース
+ * @return {Set} dispose が呼ばれたリソース
+ */
+function watchDispose (resources) {
+  const disposed = new Set()
+  resources.forEach((resource) => {
+    resource.addEventListener('dispose', () => disposed.add(resource))
+  })
+  return disposed
+}
+
+test('disposes the geometry and materials it created', () => {
+  const grid = new VOXBoxGrid(createChunk())
+  const materials = grid.materials.filter((material) => material !== undefined)
+  assert.equal(materials.length, 2)
+  const disposed = watchDispose([grid.geometry, ...materials])
+  grid.dispose()
+  assert.equal(disposed.size, 3)
+})
+
+test('leaves shared materials and geometry to the caller', () => {
+  const geometry = new THREE.BoxGeometry(0.1, 0.1, 0.1)
+  const materials = []
+  const first = new VOXBoxGrid(createChunk(), { geometry, materials })
+  const second = new VOXBoxGrid(createChunk(), { geometry, materials })
+
+  // 2 つ目のモデルは 1 つ目が生成したマテリアルを使う
+  assert.equal(first.children[0].material, second.children[0].material)
+
+  const shared = materials.filter((material) => material !== undefined)
+  const disposed = watchDispose([geometry, ...shared])
+  first.dispose()
+  assert.equal(disposed.size, 0)
+  // 解放されていないので、残ったモデルはそのまま描画できる
+  second.children.forEach((mesh) => {
+    assert.equal(shared.includes(mesh.material), true)
+  })
+  second.dispose()
+  assert.equal(disposed.size, 0)
+})